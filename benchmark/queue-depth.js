@@ -0,0 +1,83 @@
+// Measures how put() and take() on a channel hold up as values pile up
+// in its queue. The same workload is run against a channel whose queues
+// are plain arrays (which is how channels used to be implemented) and
+// a regular channel, whose queues are ring buffers.
+//
+// Usage: node benchmark/queue-depth.js [depth ...]
+
+var Channel = require('../src/channel.js');
+
+var depths = process.argv.slice(2).map(Number);
+if (depths.length === 0) {
+    depths = [10000, 20000, 50000];
+}
+
+function arrayChannel() {
+    var ch = new Channel();
+    ch._queue = [];
+    ch._pending = [];
+    return ch;
+}
+
+function noop() {}
+
+// Fills the channel up to the given depth and drains it again,
+// while keeping the depth steady for a while in the middle.
+function backlog(ch, depth) {
+    var i;
+    for (i = 0; i < depth; ++i) {
+        ch.put(i);
+    }
+    for (i = 0; i < depth; ++i) {
+        ch.take();
+        ch.put(i);
+    }
+    for (i = 0; i < depth; ++i) {
+        ch.take();
+    }
+}
+
+// The same, but with takers waiting on the channel.
+function waiting(ch, depth) {
+    var i;
+    for (i = 0; i < depth; ++i) {
+        ch.take(noop);
+    }
+    for (i = 0; i < depth; ++i) {
+        ch.put(i);
+        ch.take(noop);
+    }
+    for (i = 0; i < depth; ++i) {
+        ch.put(i);
+    }
+}
+
+function time(fn, makeChannel, depth) {
+    var ch = makeChannel();
+    var start = process.hrtime();
+    fn(ch, depth);
+    var t = process.hrtime(start);
+    return t[0] * 1e3 + t[1] / 1e6;
+}
+
+var benchmarks = [['backlog', backlog], ['waiting', waiting]];
+
+function run(b, d) {
+    if (b >= benchmarks.length) {
+        return;
+    }
+    if (d >= depths.length) {
+        return run(b + 1, 0);
+    }
+    var name = benchmarks[b][0], fn = benchmarks[b][1], depth = depths[d];
+    var arrayTime = time(fn, arrayChannel, depth);
+    var ringTime = time(fn, Channel.new, depth);
+    console.log(name + ' depth=' + depth +
+                '  array: ' + arrayTime.toFixed(1) + 'ms' +
+                '  ring: ' + ringTime.toFixed(1) + 'ms' +
+                '  (' + (arrayTime / ringTime).toFixed(1) + 'x)');
+    // Let the callbacks scheduled by the run get done before the next one.
+    setTimeout(run, 100, b, d + 1);
+}
+
+run(0, 0);
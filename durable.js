@@ -0,0 +1 @@
+module.exports = require('cspjs/src/durable.js'); // Redirect
@@ -0,0 +1 @@
+module.exports = require('cspjs/src/net.js'); // Redirect
@@ -8,17 +8,88 @@ var nextTick = (function () {
     return this.setImmediate || process.nextTick;
 }());
 
-function Channel() {
-    this._queue = new Array;
-    this._pending = new Array;
+var Queue = require('./queue.js');
+var PriorityQueue = Queue.PriorityQueue;
+var metrics = require('./metrics.js');
+var debug = require('./debug.js');
+
+// `options.xform`, if given, is a transducer to apply to the values
+// put into the channel. See `transform()`.
+//
+// If `options.priority` is given, the channel is a "priority channel",
+// where values waiting in the channel are taken in the order of their
+// priority, highest first, and in the order they were put among equal
+// priorities. The priority of a value is given as the third argument
+// to put() as in `ch.put(value, callback, priority)`. If
+// `options.priority` is a function, it is used to work out the
+// priorities of values put without one. Priorities are numbers
+// and default to 0.
+//
+// `options.name` names the channel in metrics and debug reports, and
+// `options.metrics` turns on the channel's instrumentation. See
+// `Channel.metrics` and `Channel.debug`.
+function Channel(options) {
+    var priority = options && options.priority;
+    this._queue = priority ? new PriorityQueue() : new Queue();
+    this._pending = new Queue();
+    this._priorityFn = typeof priority === 'function' ? priority : null;
+    this._closed = false;
+    this._error = null;
+    this._closeListeners = null;
+    this._xforms = null;
+    this._xf = null;
+    this._stats = null;
+    this._name = (options && options.name) || null;
+    if (options && options.xform) {
+        this.transform(options.xform);
+    }
+    if ((options && options.metrics) || metrics.isEnabled()) {
+        this._stats = new metrics.ChannelStats(options && options.name, options && options.metrics);
+        metrics.register(this);
+    }
+    if (debug.enabled) {
+        debug.trackChannel(this);
+    }
     return this;
 }
 
+Channel.metrics = metrics;
+Channel.debug = debug;
+
 // Convenience class method to instantiate a channel.
-Channel.new = function () {
-    return new Channel();
+Channel.new = function (options) {
+    return new Channel(options);
 };
 
+// The marker value received by takers once a channel has been
+// closed and all the values queued in it have been drained.
+// Unlike the older `null` convention, this leaves `null` free
+// to be sent as a regular value. Compare using `===`.
+var END = Channel.END = Object.freeze({toString: function () { return '[Channel END]'; }});
+
+// The error passed to the callback of a put() done
+// on a closed channel.
+function ChannelClosedError(message) {
+    this.name = 'ChannelClosedError';
+    this.message = message || 'Channel is closed';
+    this.stack = (new Error(this.message)).stack;
+    return this;
+}
+
+ChannelClosedError.prototype = Object.create(Error.prototype);
+ChannelClosedError.prototype.constructor = ChannelClosedError;
+Channel.ChannelClosedError = ChannelClosedError;
+
+// Wrapper channels made using `Object.create(chan)` share the
+// queues of the channel they wrap. The closed state must be shared
+// the same way, so it is always kept on the channel owning the queues.
+function baseChannel(chan) {
+    while (!chan.hasOwnProperty('_queue')) {
+        chan = Object.getPrototypeOf(chan);
+    }
+    return chan;
+}
+
 function sendValue(value, callback) {
     callback && nextTick(function () { callback(null, value); });
 }
@@ -38,38 +109,422 @@ function sendErrorS(err, callback) {
 function CBV(callback, value) {
     this._callback = callback;
     this._value = value;
+    this._error = null;
+    this._alt = callback ? callback._alt : undefined;
     return this;
 }
 
+// Operations made on behalf of `Channel.select` have callbacks
+// carrying an `_alt` property shared by all the operations of
+// that select. Only one of them may complete. The first one to
+// be paired up with a taker or putter "commits" the alt, which
+// withdraws the others from their channels. Operations of a
+// committed alt that are found lying around are stale and are
+// discarded.
+function isStale(entry) {
+    return entry && entry._alt && entry._alt.committed;
+}
+
+function commitAlt(entry) {
+    entry && entry._alt && entry._alt.commit();
+}
+
+// Channel wrappers that take values on behalf of a callback
+// use this to pass the callback's `_alt` on to their own callback,
+// along with the `_retry` of takes made by a select (see `filter`)
+// and the `_withdrawn` hook (see `withdrawn`).
+function relayAlt(callback, fn) {
+    if (callback && callback._alt) {
+        fn._alt = callback._alt;
+    }
+    if (callback && callback._retry) {
+        fn._retry = callback._retry;
+    }
+    if (callback && callback._withdrawn) {
+        fn._withdrawn = callback._withdrawn;
+    }
+    return fn;
+}
+
+// Tells the callback of an operation that has been withdrawn, by
+// a cancel() or by its select going another way, that it will never
+// be called, if the callback has a `_withdrawn` hook. Wrappers that
+// keep count of the operations made through them use the hook.
+function withdrawn(entry) {
+    var callback = (entry instanceof CBV) ? entry._callback : entry;
+    if (callback && callback._withdrawn) {
+        callback._withdrawn();
+    }
+}
+
+// take() and put() return a ChannelOp handle whose cancel() withdraws
+// the operation from the channel if it is still pending. cancel()
+// answers whether it did withdraw the operation, in which case its
+// callback will never be called. Wrapper channels whose operations
+// go through more than one step keep the handle of the current step
+// as the "inner" op. The "channel" is the one the operation waits on.
+function ChannelOp(queue, entry, chan) {
+    this._queue = queue;
+    this._entry = entry;
+    this.channel = chan || null;
+    this.inner = null;
+    return this;
+}
+
+ChannelOp.prototype.cancel = function () {
+    if (this.inner) {
+        return this.inner.cancel();
+    }
+    if (!this._queue || !this._queue.remove(this._entry)) {
+        return false;
+    }
+    this._queue = null;
+    withdrawn(this._entry);
+    return true;
+};
+
+// The handle for operations that completed right away.
+var DONE = new ChannelOp(null, null);
+
+Channel.ChannelOp = ChannelOp;
+
+// Takes the first live entry off the queue, discarding the stale ones
+// in front of it. Entries belonging to the given alt are passed over
+// and left in place, so that an operation of a select never pairs up
+// with another operation of the same select.
+function shiftLive(queue, alt) {
+    var i = 0, entry;
+    while (i < queue.length) {
+        entry = queue.get(i);
+        if (i === 0 && isStale(entry)) {
+            withdrawn(queue.shift());
+        } else if (isStale(entry) || (alt && entry && entry._alt === alt)) {
+            ++i;
+        } else {
+            if (i === 0) {
+                queue.shift();
+            } else {
+                queue.remove(entry);
+            }
+            return entry;
+        }
+    }
+    return null;
+}
+
 // Read a value from the channel, passing the value to the given callback.
+// Once the channel is closed and its queue has been drained, takers
+// receive `Channel.END`.
+//
+// Given a number N instead of a callback, take() makes a new
+// channel that gives the first N values of this channel and then
+// ends. See `takeFirst`.
 Channel.prototype.take = function (callback) {
-    if (this._queue.length > 0) {
-        var q = this._queue.shift();
+    if (typeof callback === 'number') {
+        return takeFirst(this, callback);
+    }
+    if (isStale(callback)) {
+        return DONE;
+    }
+    var q = shiftLive(this._queue, callback && callback._alt);
+    if (q) {
+        if (this._stats) {
+            this._stats.dequeued(q, !!callback);
+        }
+        commitAlt(q);
+        commitAlt(callback);
         sendValue(q._value, q._callback);
-        sendValue(q._value, callback);
-    } else {
-        callback && this._pending.push(callback);
+        if (q._error) {
+            sendError(q._error, callback);
+        } else {
+            sendValue(q._value, callback);
+        }
+    } else if (this._closed) {
+        commitAlt(callback);
+        sendEnd(this, callback);
+    } else if (callback) {
+        this._pending.push(callback);
+        return new ChannelOp(this._pending, callback, this);
     }
+    return DONE;
 };
 
+// Takers of a drained closed channel get `Channel.END`,
+// or the error the channel failed with.
+function sendEnd(chan, callback) {
+    if (chan._error) {
+        sendError(chan._error, callback);
+    } else {
+        sendValue(END, callback);
+    }
+}
+
+// Whether an error taken from the channel is the one it was failed
+// with, after which the channel gives nothing but that error. Loops
+// that pass errors on and keep taking have to stop at such an error.
+function failedWith(chan, err) {
+    var base = baseChannel(chan);
+    return base._closed && base._error === err;
+}
+
+// Wrapper channels that replace take() use this
+// to keep `take(N)` working on them.
+function takeMethod(fn) {
+    return function (callback) {
+        if (typeof callback === 'number') {
+            return takeFirst(this, callback);
+        }
+        return fn.call(this, callback);
+    };
+}
+
 // Places a value into the channel. The callback will be called when the value is
-// consumed from the read-end.
-Channel.prototype.put = function (value, callback) {
-    if (this._pending.length > 0) {
-        var p = this._pending.shift();
+// consumed from the read-end. Putting into a closed channel fails with a
+// `ChannelClosedError`. The priority only matters for priority channels.
+Channel.prototype.put = function (value, callback, priority) {
+    if (isStale(callback)) {
+        return DONE;
+    }
+    if (this._closed) {
+        commitAlt(callback);
+        sendError(new ChannelClosedError(), callback);
+        return DONE;
+    }
+    if (this._xf) {
+        return transformPut(this, value, callback, priority);
+    }
+    return putValue(this, value, callback, priority);
+};
+
+function putValue(chan, value, callback, priority) {
+    var stats = chan._stats;
+    if (stats) {
+        stats.puts++;
+    }
+    var p = shiftLive(chan._pending, callback && callback._alt);
+    if (p) {
+        if (stats) {
+            stats.takes++;
+        }
+        commitAlt(p);
+        commitAlt(callback);
         sendValue(value, callback);
         sendValue(value, p);
+        return DONE;
+    }
+    var q = new CBV(callback, value);
+    q._priority = (priority === undefined && chan._priorityFn) ? chan._priorityFn(value) : priority;
+    chan._queue.push(q);
+    if (stats) {
+        stats.queued(q, chan._queue.length);
+    }
+    if (debug.enabled) {
+        debug.queued(chan);
+    }
+    return new ChannelOp(chan._queue, q, chan);
+}
+
+// Places an error into the channel in place of a value. The taker
+// that gets to it receives the error in the error slot of its
+// callback, so that `x <- chan ch;` in a task throws it. The callback
+// is called with a null value when the error is taken. Errors skip
+// the buffering and the transducers of the channel.
+Channel.prototype.putError = function (err, callback) {
+    if (isStale(callback)) {
+        return DONE;
+    }
+    if (this._closed) {
+        commitAlt(callback);
+        sendError(new ChannelClosedError(), callback);
+        return DONE;
+    }
+    var stats = this._stats;
+    if (stats) {
+        stats.puts++;
+    }
+    var p = shiftLive(this._pending, callback && callback._alt);
+    if (p) {
+        if (stats) {
+            stats.takes++;
+        }
+        commitAlt(p);
+        commitAlt(callback);
+        sendValue(null, callback);
+        sendError(err, p);
+        return DONE;
+    }
+    var q = new CBV(callback, null);
+    q._error = err;
+    this._queue.push(q);
+    if (stats) {
+        stats.queued(q, this._queue.length);
+    }
+    if (debug.enabled) {
+        debug.queued(this);
+    }
+    return new ChannelOp(this._queue, q, this);
+};
+
+// Closes the channel such that once the values queued in it have
+// been taken, every take receives the given error instead of
+// `Channel.END`. Use it to tell the consumers that the stream broke.
+Channel.prototype.fail = function (err) {
+    var base = baseChannel(this);
+    if (!base._closed) {
+        base._error = err;
+    }
+    return this.close();
+};
+
+// Makes the channel run the values put into it through the given
+// transducer, so that a chain of transformations is applied once,
+// at put time, instead of by a stack of wrapper channels at take time.
+// Any transducer following the `@@transducer/init`, `@@transducer/step`
+// and `@@transducer/result` protocol will do. A value may give rise
+// to any number of values in the channel. The put's callback goes with
+// the last of them, and is called right away if there are none.
+//
+// When a step gives a `@@transducer/reduced` result, the channel is
+// closed. When the channel is closed, the transducer's completion step
+// gets to flush what it has held back into the channel before takers
+// see `Channel.END`.
+//
+// Calling transform() again adds another transducer, which gets the
+// values given by the earlier ones. The transducers only apply to
+// values put after the call, so set them up before using the channel.
+//
+//      var ch = new Channel({xform: compose(map(inc), filter(isEven))});
+Channel.prototype.transform = function (xform) {
+    var base = baseChannel(this);
+    base._xforms = (base._xforms || []).concat([xform]);
+    base._xf = base._xforms.reduceRight(function (rf, xf) {
+        return xf(rf);
+    }, collector);
+    return this;
+};
+
+// The reducing function at the end of a channel's transducers
+// collects the values to place into the channel in an array.
+var collector = {
+    '@@transducer/init': function () {
+        return [];
+    },
+    '@@transducer/step': function (values, value) {
+        values.push(value);
+        return values;
+    },
+    '@@transducer/result': function (values) {
+        return values;
+    }
+};
+
+function transformPut(chan, value, callback, priority) {
+    var values;
+    try {
+        values = chan._xf['@@transducer/step']([], value);
+    } catch (e) {
+        commitAlt(callback);
+        sendError(e, callback);
+        return DONE;
+    }
+
+    var reduced = values && values['@@transducer/reduced'];
+    if (reduced) {
+        values = values['@@transducer/value'];
+    }
+
+    var op = DONE;
+    if (values.length === 0) {
+        commitAlt(callback);
+        sendValue(value, callback);
     } else {
-        this._queue.push(new CBV(callback, value));
+        for (var i = 0, N = values.length - 1; i < N; ++i) {
+            putValue(chan, values[i], null, priority);
+        }
+        op = putValue(chan, values[N], callback, priority);
+    }
+
+    if (reduced) {
+        chan.close();
+    }
+    return op;
+}
+
+// Runs the completion step of the channel's transducers,
+// placing whatever they flush into the channel.
+function flushTransform(chan) {
+    var xf = chan._xf;
+    chan._xf = null;
+    var values = xf['@@transducer/result']([]);
+    for (var i = 0, N = values.length; i < N; ++i) {
+        putValue(chan, values[i]);
     }
+}
+
+// Closes the channel. Subsequent puts will fail, values already
+// queued can still be taken and pending takers are released with
+// `Channel.END`. The channel's end() actions are performed and the
+// `onClose` callbacks are called. Closing a closed channel does nothing.
+Channel.prototype.close = function () {
+    var base = baseChannel(this);
+    if (base._closed) {
+        return this;
+    }
+
+    if (base._xf) {
+        flushTransform(base);
+    }
+
+    base._closed = true;
+    var p;
+    while ((p = shiftLive(base._pending))) {
+        commitAlt(p);
+        sendEnd(base, p);
+    }
+
+    this.end();
+
+    var listeners = base._closeListeners;
+    base._closeListeners = null;
+    if (listeners) {
+        for (var i = 0, N = listeners.length; i < N; ++i) {
+            sendValue(true, listeners[i]);
+        }
+    }
+    return this;
+};
+
+// Answers "has close() been called on the channel?"
+Channel.prototype.isClosed = function () {
+    return this._closed;
+};
+
+// Whether an error taken from this channel means that the channel has
+// failed (see `fail()`), as opposed to being an error put into it using
+// `putError()`. Useful to code that keeps taking after errors.
+Channel.prototype.failedWith = function (err) {
+    return failedWith(this, err);
+};
+
+// Calls the callback once the channel gets closed. If the
+// channel is already closed, the callback is called on the
+// next tick. Can be used in a task as `<- ch.onClose();`.
+Channel.prototype.onClose = function (callback) {
+    var base = baseChannel(this);
+    if (base._closed) {
+        sendValue(true, callback);
+    } else if (callback) {
+        (base._closeListeners || (base._closeListeners = [])).push(callback);
+    }
+    return this;
 };
 
 // Does any ending actions on the channel.
-// The protocol is to have a channel "end"
-// by a null value being placed on it. The
-// end() method is simply to perform any pending 
-// ending actions. The default action is to replace
-// the end() function with the original end.
+// The end() method is simply to perform any pending 
+// ending actions and is called by close(). Derived
+// channels may replace it to, for example, detach
+// themselves from their sources. The default action is
+// to replace the end() function with the original end.
 Channel.prototype.end = function end() {
     this.end = end;
 };
@@ -85,32 +540,43 @@ Channel.prototype.tap = function (chan) {
     if (!this._taps) {
         this._taps = [tapChan];
         var put = this.put;
-        this.put = function (value, callback) {
-            for (var c = 0, cN = this._taps.length; c < cN; ++c) {
-                this._taps[c].put(value);
+        this.put = function (value, callback, priority) {
+            if (this.isClosed()) {
+                return put.call(this, value, callback, priority);
             }
-            if (value === null) {
-                while (this._taps.length > 0) {
-                    this._taps[0].end();
-                }
-                this._taps = null;
-                this.put = put;
+            for (var c = 0, cN = this._taps.length; c < cN; ++c) {
+                this._taps[c].put(value, null, priority);
             }
             if (this._pending.length > 0) {
                 // Put only if there are takers. Otherwise
                 // just drop the value. If we don't do this,
                 // the value will simply pile up if only taps
                 // are being used on the channel.
-                put.call(this, value, callback);
+                return put.call(this, value, callback, priority);
+            }
+            if (this._stats) {
+                this._stats.dropped++;
             }
+            return DONE;
         };
+        this.onClose(function () {
+            // Closing the tapped channel closes all the taps.
+            while (self._taps && self._taps.length > 0) {
+                self._taps[0].close();
+            }
+            self._taps = null;
+            self.put = put;
+        });
     } else {
         this._taps.push(tapChan);
     }
 
     var end = tapChan.end;
     tapChan.end = function () {
-        self._taps.splice(self._taps.indexOf(tapChan), 1);
+        var pos = self._taps ? self._taps.indexOf(tapChan) : -1;
+        if (pos >= 0) {
+            self._taps.splice(pos, 1);
+        }
         end.call(this);
     };
     return tapChan;
@@ -125,11 +591,14 @@ Channel.prototype.tap = function (chan) {
 // It only makes sense to have one processing function
 // for a channel. The fn is called with the value as the
 // first argument and a loop continuation callback as
-// the second argument.
+// the second argument. Processing stops when the channel
+// ends or fails.
 Channel.prototype.process = function (fn) {
     var self = this;
     function receive(err, value) {
-        fn(value, loop);
+        if (value !== END && !(err && failedWith(self, err))) {
+            fn(value, loop);
+        }
     }
     function loop(err) {
         if (!err) {
@@ -162,6 +631,10 @@ Channel.prototype.bind = function (klass, options) {
     self._boundSpawn = (options && options.spawn) || false;
     if (!self._bound) {
         receive = function (err, msg) {
+            if (msg === END || (err && failedWith(self, err))) {
+                self._bound = false;
+                return;
+            }
             var handler = new self._boundClass(); // new is not expected to throw.
             if (handler.init) {
                 try {
@@ -205,6 +678,8 @@ ChannelValue.prototype.resolve = function () {
     }
 };
 
+Channel.ChannelValue = ChannelValue;
+
 // Makes a callback that will receive the value produced by
 // some process and place the result into the channel. The
 // "id" exists to identify the one producing the value.
@@ -228,6 +703,101 @@ Channel.prototype.resolver = function () {
     };
 };
 
+// Makes channels "thenable" so that they can be used wherever
+// promises are expected. Each call to then() takes one value
+// from the channel and gives a promise for it. A ChannelValue
+// placed on the channel by its own receive() or resolver() is
+// unwrapped, with its error turning into a rejection.
+Channel.prototype.then = function (onFulfilled, onRejected) {
+    var self = this;
+    return new Promise(function (resolve, reject) {
+        self.take(function (err, value) {
+            if (!err && value instanceof ChannelValue && value.chan === self) {
+                err = value.err;
+                value = value.val;
+            }
+            if (err) {
+                reject(err);
+            } else {
+                resolve(value);
+            }
+        });
+    }).then(onFulfilled, onRejected);
+};
+
+// Makes a channel that gets filled with the result of the given
+// promise (or thenable) in the same way that `x := asyncOp();`
+// works in a task. i.e. every take will give a ChannelValue
+// carrying the result or the error, and `await x;` can be used
+// in a task to get at the result.
+Channel.fromPromise = function (promise) {
+    var chan = new Channel();
+    var resolver = chan.resolver();
+    promise.then(function (value) {
+        resolver(null, value);
+    }, function (err) {
+        resolver(err || new Error('Promise rejected with "' + err + '"'), null);
+    });
+    return chan;
+};
+
+// Iterates over the values taken from a channel using the
+// async iterator protocol, finishing at `Channel.END`. Each call
+// to next() makes a take of its own, so calls made without waiting
+// for the earlier ones are answered in order, as the protocol allows.
+// The takes still waiting are kept in `_waiting`, oldest first.
+function ChannelIterator(chan) {
+    this._channel = chan;
+    this._waiting = new Queue();
+    this._done = false;
+    return this;
+}
+
+ChannelIterator.prototype.next = function () {
+    var self = this;
+    if (self._done) {
+        return Promise.resolve({value: undefined, done: true});
+    }
+    return new Promise(function (resolve, reject) {
+        var receiver = function (err, value) {
+            if (!self._waiting.remove(receiver)) {
+                return; // Released by return().
+            }
+            if (err) {
+                reject(err);
+            } else if (value === END) {
+                self._done = true;
+                resolve({value: undefined, done: true});
+            } else {
+                resolve({value: value, done: false});
+            }
+        };
+        self._waiting.push(receiver);
+        receiver.op = self._channel.take(receiver);
+    });
+};
+
+// Called when a `for await` loop exits early. The takes that
+// are still waiting for values are withdrawn from the channel.
+ChannelIterator.prototype.return = function (value) {
+    this._done = true;
+    while (this._waiting.length > 0) {
+        var receiver = this._waiting.get(0);
+        receiver.op.cancel();
+        receiver(null, END);
+    }
+    return Promise.resolve({value: value, done: true});
+};
+
+// Lets channels be consumed by `for await (var x of ch) {...}`
+// outside tasks. Derived channels such as those made by map(),
+// filter() and buffer() inherit this from the channel they wrap.
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+    Channel.prototype[Symbol.asyncIterator] = function () {
+        return new ChannelIterator(this);
+    };
+}
+
 // Answers "will read succeed immediately?"
 Channel.prototype.canRead = function () {
     return this._queue.length > 0 && this._pending.length === 0;
@@ -238,6 +808,20 @@ Channel.prototype.canWrite = function () {
     return this._pending.length > 0 || this._queue.length === 0;
 };
 
+// Answers "will a take complete right away?" Used by `Channel.select`
+// to pick among operations that are ready. Taking from a closed
+// channel completes right away with `Channel.END`.
+Channel.prototype.isTakeReady = function () {
+    return this._queue.length > 0 || this._closed;
+};
+
+// Answers "will a put complete right away?" For the basic channel,
+// a put completes when the value is consumed, so this needs a taker
+// to be waiting. Putting into a closed channel fails right away.
+Channel.prototype.isPutReady = function () {
+    return this._pending.length > 0 || this._closed;
+};
+
 // Answers "how many values have been placed into the channel?"
 // Positive values give the number of values available right away.
 // Negative values give the number of pending take operations.
@@ -248,15 +832,19 @@ Channel.prototype.backlog = function () {
 // Makes a new channel whose values are transformed by the given
 // function "f". `cond(value)` is a function that specifies a 
 // condition until which the mapping will continue. The mapper
-// is not expected to throw.
+// is not expected to throw. `Channel.END` is passed on as is.
 Channel.prototype.map = function (f) {
     var ch2 = Object.create(this);
     var take = this.take;
-    ch2.take = function (callback) {
-        take.call(this, function (err, value) {
-            callback(err, err ? null : f(value));
-        });
-    };
+    ch2.take = takeMethod(function (callback) {
+        return take.call(this, relayAlt(callback, function (err, value) {
+            if (err) {
+                callback(err, null);
+            } else {
+                callback(null, value === END ? END : f(value));
+            }
+        }));
+    });
     return ch2;
 };
 
@@ -268,17 +856,27 @@ Channel.prototype.map = function (f) {
 Channel.prototype.filter = function (f) {
     var ch2 = Object.create(this);
     var take = this.take;
-    ch2.take = function (callback) {
-        take.call(this, function (err, value) {
+    ch2.take = takeMethod(function (callback) {
+        var op = new ChannelOp(null, null);
+        op.inner = take.call(this, relayAlt(callback, function (err, value) {
             if (err) { 
                 callback(err, null); 
-            } else if (f(value)) {
+            } else if (value === END || f(value)) {
                 callback(err, value);
+            } else if (callback._retry) {
+                // Value dropped after a select committed to this take
+                // to get it. The select starts over with all its
+                // operations instead of waiting on this channel alone,
+                // so this take is as good as withdrawn.
+                withdrawn(callback);
+                callback._retry();
             } else {
-                ch2.take(callback); // Value dropped
+                // Value dropped. Wait for the next one.
+                op.inner = ch2.take(relayAlt(callback, function (err, value) { callback(err, value); }));
             }
-        });
-    };
+        }));
+        return op;
+    });
     return ch2;
 };
 
@@ -289,19 +887,25 @@ Channel.prototype.reduce = function (initial, f) {
     var ch2 = Object.create(this);
     var take = this.take;
     var result = initial;
-    ch2.take = function (callback) {
-        take.call(this, function (err, value) {
+    ch2.take = takeMethod(function (callback) {
+        return take.call(this, relayAlt(callback, function (err, value) {
             if (err) {
                 callback(err, null);
+            } else if (value === END) {
+                callback(null, value);
             } else {
                 result = f(result, value);
                 callback(null, result);
             }
-        });
-    };
+        }));
+    });
     return ch2;
 };
 
+// Same as `reduce`. Gives the running result for every value.
+// Use `fold` to get only the final result.
+Channel.prototype.scan = Channel.prototype.reduce;
+
 // Makes a new channel and pipes the values put into this
 // channel in groups of N. 
 Channel.prototype.group = function (N) {
@@ -313,6 +917,558 @@ Channel.prototype.group = function (N) {
     }).filter(function (g) { return g.length === N; });
 };
 
+// Makes a new channel that gets the values coming on this
+// channel in arrays, one per "window" -
+//
+//  {ms: T}         - A window opens with a value and closes T
+//                    milliseconds later.
+//  {max: N}        - A window closes once it has N values.
+//  {ms: T, max: N} - A window closes after T milliseconds or once it
+//                    has N values, whichever comes first.
+//  {ms: T, every: P} - Sliding windows. Every P milliseconds, the
+//                    values that came within the last T milliseconds
+//                    are passed on. Nothing is passed on if no new
+//                    value came since the last time.
+//
+// Windows with no values are skipped. When this channel ends, the
+// last window is passed on even if partial and the new channel is
+// closed. Errors are passed on using `putError()` as they come, and
+// if this channel fails, the last window is passed on and the new
+// channel fails with the same error. This channel is read from as
+// values arrive, irrespective of whether the windows are being taken,
+// so that they don't miss their time. Closing the new channel stops
+// the windowing.
+//
+//      var batches = writes.window({ms: 100, max: 500});
+Channel.prototype.window = function (options) {
+    var ms = options.ms, max = options.max, every = options.every;
+    if (!(ms > 0) && !(max > 0)) {
+        throw new Error('A window needs a duration "ms" or a size "max"');
+    }
+    if (every > 0 && !(ms > 0)) {
+        throw new Error('Sliding windows need a duration "ms"');
+    }
+
+    var self = this, out = new Channel(), op = null, timer = null;
+    var group = [], times = [], fresh = false;
+
+    function emit() {
+        if (timer && !every) {
+            clearTimeout(timer);
+        }
+        if (!every) {
+            timer = null;
+        }
+        if (group.length > 0) {
+            out.put(group);
+            group = [];
+        }
+    }
+
+    function slide() {
+        var since = Date.now() - ms, i = 0;
+        while (i < times.length && times[i] <= since) {
+            ++i;
+        }
+        group.splice(0, i);
+        times.splice(0, i);
+        if (fresh && group.length > 0) {
+            out.put(group.slice(0));
+        }
+        fresh = false;
+    }
+
+    function receive(err, value) {
+        op = null;
+        var failed = err && failedWith(self, err);
+        if (err && !failed) {
+            out.putError(err);
+            op = self.take(receive);
+            return;
+        }
+        if (failed || value === END) {
+            if (every) {
+                clearInterval(timer);
+                timer = null;
+                if (fresh) {
+                    out.put(group);
+                }
+            } else {
+                emit();
+            }
+            if (failed) {
+                out.fail(err);
+            } else {
+                out.close();
+            }
+            return;
+        }
+        group.push(value);
+        if (every) {
+            times.push(Date.now());
+            fresh = true;
+        } else if (max > 0 && group.length >= max) {
+            emit();
+        } else if (ms > 0 && !timer) {
+            timer = setTimeout(emit, ms);
+        }
+        op = self.take(receive);
+    }
+
+    out.onClose(function () {
+        if (op) {
+            op.cancel();
+        }
+        if (timer) {
+            clearTimeout(timer);
+            clearInterval(timer);
+            timer = null;
+        }
+    });
+
+    if (every) {
+        timer = setInterval(slide, every);
+    }
+    op = self.take(receive);
+    return out;
+};
+
+// Makes a new channel that gets the values coming on this channel
+// in arrays of consecutive values for which `fn(value)` gives the
+// same key. An array is passed on when a value with a different key
+// comes along, or when this channel ends, at which point the new
+// channel is closed. Keys are compared using `===`. Errors are
+// passed on using `putError()`, and if this channel fails, the
+// last array is passed on and the new channel fails too.
+Channel.prototype.partitionBy = function (fn) {
+    var self = this, out = new Channel(), op = null;
+    var group = [], key;
+
+    function receive(err, value) {
+        op = null;
+        var failed = err && failedWith(self, err);
+        if (err && !failed) {
+            out.putError(err, function (err) {
+                if (!err) {
+                    op = self.take(receive);
+                }
+            });
+            return;
+        }
+        if (failed || value === END) {
+            if (group.length > 0) {
+                out.put(group);
+            }
+            if (failed) {
+                out.fail(err);
+            } else {
+                out.close();
+            }
+            return;
+        }
+        var k = fn(value);
+        if (group.length > 0 && k !== key) {
+            var g = group;
+            group = [value];
+            key = k;
+            out.put(g, function (err) {
+                if (!err) {
+                    op = self.take(receive);
+                }
+            });
+        } else {
+            group.push(value);
+            key = k;
+            op = self.take(receive);
+        }
+    }
+
+    out.onClose(function () {
+        if (op) {
+            op.cancel();
+        }
+    });
+
+    op = self.take(receive);
+    return out;
+};
+
+// Splits the values of this channel into two new channels, the first
+// getting the values that satisfy the predicate and the second getting
+// the others. Unlike two filter()s on the same channel, which race for
+// its values, every value goes to exactly one of the two.
+//
+//      var parts = ch.split(isValid), valid = parts[0], invalid = parts[1];
+//
+// See `partition` for how the values flow.
+Channel.prototype.split = function (pred) {
+    var pass = new Channel(), fail = new Channel();
+    route(this, [pass, fail], function (value) {
+        return pred(value) ? pass : fail;
+    });
+    return [pass, fail];
+};
+
+// Makes a new channel for each of the given keys and sends each value
+// of this channel to the channel for the key given by `keyFn(value)`.
+// Values whose keys are not among `keys` are dropped. Returns an object
+// that maps the keys to their channels.
+//
+// A value is taken from this channel only once the previous one has
+// been accepted by its channel, so a slow consumer holds up this channel
+// instead of values piling up. Values for a channel that has been closed
+// are dropped. When this channel ends, the new channels are closed.
+// Errors are passed on to all of them using `putError()`, and if this
+// channel fails, they all fail with its error.
+//
+//      var byLevel = logs.partition(function (e) { return e.level; }, ['info', 'error']);
+//      x <- chan byLevel.error;
+Channel.prototype.partition = function (keyFn, keys) {
+    var outs = {};
+    keys.forEach(function (key) {
+        outs[key] = new Channel();
+    });
+    route(this, keys.map(function (key) { return outs[key]; }), function (value) {
+        var key = keyFn(value);
+        return outs.hasOwnProperty(key) ? outs[key] : null;
+    });
+    return outs;
+};
+
+// Sends each value of the source to the channel picked for it
+// from among `outs`, until the source ends or all of `outs` close.
+function route(source, outs, pick) {
+    var op = null, open = outs.length;
+
+    function next() {
+        if (open > 0) {
+            op = source.take(receive);
+        }
+    }
+
+    function receive(err, value) {
+        op = null;
+        if (err && failedWith(source, err)) {
+            outs.forEach(function (chan) {
+                chan.fail(err);
+            });
+            return;
+        }
+        if (err) {
+            outs.forEach(function (chan) {
+                chan.putError(err);
+            });
+            return next();
+        }
+        if (value === END) {
+            outs.forEach(function (chan) {
+                chan.close();
+            });
+            return;
+        }
+        var chan = pick(value);
+        if (chan) {
+            chan.put(value, next);
+        } else {
+            next();
+        }
+    }
+
+    outs.forEach(function (chan) {
+        chan.onClose(function () {
+            if (--open === 0 && op) {
+                op.cancel();
+                op = null;
+            }
+        });
+    });
+
+    next();
+}
+
+// Makes a new channel that gives the first N values of this
+// channel and then ends, leaving the rest of the values in this
+// channel. Made using `ch.take(N)`. A take counts against N from
+// when it is made, so that takes made together don't get more than
+// N values between them, until it fails or is withdrawn.
+function takeFirst(chan, N) {
+    var ch2 = Object.create(chan);
+    var take = chan.take;
+    var count = 0;
+    ch2.take = takeMethod(function (callback) {
+        if (count >= N) {
+            commitAlt(callback);
+            sendValue(END, callback);
+            return DONE;
+        }
+        count++;
+        var receiver = relayAlt(callback, function (err, value) {
+            if (err) {
+                count--;
+            }
+            callback(err, value);
+        });
+        var outer = receiver._withdrawn;
+        receiver._withdrawn = function () {
+            count--;
+            if (outer) {
+                outer();
+            }
+        };
+        return take.call(this, receiver);
+    });
+    return ch2;
+}
+
+// Makes a new channel that gives the values of this channel
+// for as long as they satisfy the predicate. The first value that
+// doesn't is dropped and the new channel ends there.
+Channel.prototype.takeWhile = function (pred) {
+    var ch2 = Object.create(this);
+    var take = this.take;
+    var done = false;
+    ch2.take = takeMethod(function (callback) {
+        if (done) {
+            commitAlt(callback);
+            sendValue(END, callback);
+            return DONE;
+        }
+        return take.call(this, relayAlt(callback, function (err, value) {
+            if (!err && value !== END && !(done || (done = !pred(value)))) {
+                callback(null, value);
+            } else {
+                callback(err, done ? END : value);
+            }
+        }));
+    });
+    return ch2;
+};
+
+// Makes a new channel that skips the first N values of this channel.
+Channel.prototype.drop = function (N) {
+    var count = 0;
+    return this.filter(function (value) {
+        return ++count > N;
+    });
+};
+
+// Makes a new channel that skips the values of this channel for as
+// long as they satisfy the predicate, and gives all values thereafter.
+Channel.prototype.dropWhile = function (pred) {
+    var dropping = true;
+    return this.filter(function (value) {
+        dropping = dropping && pred(value);
+        return !dropping;
+    });
+};
+
+// Makes a new channel that gives only the first of the values of this
+// channel that have the same key, given by `keyFn(value)`. The key
+// defaults to the value itself. Keys are compared as in a `Set`.
+Channel.prototype.distinct = function (keyFn) {
+    var seen = new Set();
+    return this.filter(function (value) {
+        var key = keyFn ? keyFn(value) : value;
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+};
+
+// Reduces all the values of the channel using `f`, starting with
+// `initial`, and passes the result to the callback once the channel
+// ends. An error taking a value or thrown by `f` is passed to the
+// callback instead.
+//
+//      total <- ch.fold(0, function (sum, x) { return sum + x; });
+Channel.prototype.fold = function (initial, f, callback) {
+    var self = this, result = initial;
+    function receive(err, value) {
+        if (err) {
+            return sendError(err, callback);
+        }
+        if (value === END) {
+            return sendValue(result, callback);
+        }
+        try {
+            result = f(result, value);
+        } catch (e) {
+            return sendError(e, callback);
+        }
+        self.take(receive);
+    }
+    self.take(receive);
+};
+
+// Collects all the values of the channel into the given array,
+// passing the array to the callback once the channel ends.
+Channel.prototype.into = function (array, callback) {
+    this.fold(array, function (array, value) {
+        array.push(value);
+        return array;
+    }, callback);
+};
+
+// Makes a channel that gives arrays of one value from each of the
+// given channels, in the same order as the channels. It ends when
+// any of the channels ends. When taking from a channel fails, the
+// error is passed on using `putError()` in place of the array, and
+// if a channel has failed, the new channel fails with its error.
+Channel.zip = function (channels) {
+    var out = new Channel(), ops = [];
+
+    function round() {
+        var values = new Array(channels.length), waiting = channels.length;
+        var ended = false, failed = false, error = null;
+        channels.forEach(function (ch, i) {
+            ops[i] = ch.take(function (err, value) {
+                ops[i] = null;
+                if (err) {
+                    if (failedWith(ch, err)) {
+                        failed = true;
+                        error = err;
+                    } else {
+                        error = error || err;
+                    }
+                } else if (value === END) {
+                    ended = true;
+                } else {
+                    values[i] = value;
+                }
+                if (--waiting === 0) {
+                    if (failed) {
+                        out.fail(error);
+                    } else if (ended) {
+                        out.close();
+                    } else if (error) {
+                        out.putError(error, function (err) {
+                            if (!err) {
+                                round();
+                            }
+                        });
+                    } else {
+                        out.put(values, function (err) {
+                            if (!err) {
+                                round();
+                            }
+                        });
+                    }
+                }
+            });
+        });
+    }
+
+    out.onClose(function () {
+        ops.forEach(function (op) {
+            op && op.cancel();
+        });
+    });
+
+    if (channels.length > 0) {
+        round();
+    } else {
+        out.close();
+    }
+    return out;
+};
+
+// Makes a channel that gives all the values of the given channels,
+// one channel after another. A channel's values are taken only after
+// the previous channel has ended. The channel ends after the last
+// one does. Errors are passed on using `putError()`, and if one of
+// the channels fails, the new channel fails with its error.
+Channel.concat = function (channels) {
+    var out = new Channel(), i = 0;
+    channels = channels.slice(0);
+    drain(out, function next() {
+        return i < channels.length ? channels[i++] : null;
+    });
+    return out;
+};
+
+// Makes a channel that gives the values of the channels that `fn`
+// makes for each value of this channel, one channel after another.
+// If `fn` throws, the error is passed on using `putError()`, as are
+// errors taking from this channel or the channels made. If this
+// channel or one of those fails, the new channel fails with its error.
+Channel.prototype.flatMap = function (fn) {
+    var self = this, out = new Channel();
+    drain(out, function next(callback) {
+        self.take(function (err, value) {
+            if (err && !failedWith(self, err)) {
+                return out.putError(err, function (err) {
+                    if (!err) {
+                        next(callback);
+                    }
+                });
+            }
+            if (err || value === END) {
+                return callback(err, null);
+            }
+            var chan = null;
+            try {
+                chan = fn(value);
+            } catch (e) {
+                return out.putError(e, function (err) {
+                    if (!err) {
+                        next(callback);
+                    }
+                });
+            }
+            callback(null, chan);
+        });
+    });
+    return out;
+};
+
+// Puts all the values of a sequence of channels into `out`, closing
+// it at the end. `next` gives the next channel in the sequence, either
+// as its result or via a callback, with null meaning no more. An error
+// given by `next`, or one a channel failed with, fails `out`, and other
+// errors taken from the channels are passed on using `putError()`.
+function drain(out, next) {
+    var op = null;
+
+    function nextChannel() {
+        if (next.length === 0) {
+            return start(null, next());
+        }
+        next(start);
+    }
+
+    function start(err, chan) {
+        if (err) {
+            return out.fail(err);
+        }
+        if (!chan) {
+            return out.close();
+        }
+        op = chan.take(function receive(err, value) {
+            op = null;
+            if (!err && value === END) {
+                return nextChannel();
+            }
+            if (err && failedWith(chan, err)) {
+                return out.fail(err);
+            }
+            var put = err ? out.putError : out.put;
+            put.call(out, err || value, function (err) {
+                if (!err && !out.isClosed()) {
+                    op = chan.take(receive);
+                }
+            });
+        });
+    }
+
+    out.onClose(function () {
+        op && op.cancel();
+    });
+
+    nextChannel();
+}
+
 function resolve(thing, recursive, callback) {
     var unresolved = 0;
 
@@ -403,7 +1559,7 @@ Channel.prototype.takeN = function (N, callback) {
         if (err) {
             return sendError(err, callback);
         }
-        if (value !== null) {
+        if (value !== END) {
             group.push(value);
             if (group.length < N) {
                 self.take(receive);
@@ -427,25 +1583,16 @@ Channel.prototype.takeSome = function (callback) {
 };
 
 // Keeps this channel alive until a value is
-// received from the given chan.
+// received from the given chan. The returned channel
+// is a tap on this channel that gets closed at that
+// point, after which it gives `Channel.END`.
 Channel.prototype.until = function (chan) {
-    var done = false;
-    var self = this;
     var tapChan = chan.tap();
+    var ch = this.tap();
     tapChan.take(function (err, value) {
-        done = true;
-        tapChan.end();
-        self.end();
+        tapChan.close();
+        ch.close();
     });
-    var ch = this.tap();
-    var take = ch.take;
-    ch.take = function (callback) {
-        if (done) {
-            sendValue(null, callback);
-        } else {
-            take.call(this, callback);
-        }
-    };
     return ch;
 };
 
@@ -465,11 +1612,13 @@ Channel.prototype.fill = function (value) {
 
     var origPut = this.put;
 
-    this.take = function (callback) {
+    this.take = takeMethod(function (callback) {
         sendValue(value, callback);
-    };
+        return DONE;
+    });
     this.put = function (ignoredValue, callback) {
         sendError('filled', callback);
+        return DONE;
     };
     this.fill = noop;
 
@@ -541,13 +1690,107 @@ Channel.prototype.listen = function (domElement, eventName) {
         elements[i].addEventListener(eventName, listener);
     }
 
-    var end = this.end;
-    this.end = function () {
-        for (var i = 0, N = elements.length; i < N; ++i) {
-            elements[i].removeEventListener(eventName, listener);
-        }
-        end.call(this);
-    };
+    var end = this.end;
+    this.end = function () {
+        for (var i = 0, N = elements.length; i < N; ++i) {
+            elements[i].removeEventListener(eventName, listener);
+        }
+        end.call(this);
+    };
+    return this;
+};
+
+// Makes a channel that receives the events of the given name from a
+// Node.js EventEmitter. The event's argument is put into the channel,
+// or an array of the arguments if there are several. Options -
+//
+//  errorEvent - An event that fails the channel with its argument.
+//               Defaults to 'error'. Give null to not listen for errors.
+//  endEvent   - An event that closes the channel, such as 'end' or
+//               'close'. There is none by default.
+//  once       - If true, the channel closes after the first event.
+//
+// The listeners are removed when the channel is closed. Events don't
+// wait for their values to be taken, so use a buffering wrapper if
+// the channel may fall behind.
+//
+//      var lines = Channel.fromEvent(rl, 'line', {endEvent: 'close'});
+Channel.fromEvent = function (emitter, eventName, options) {
+    options = options || {};
+    var chan = new Channel();
+    var errorEvent = ('errorEvent' in options) ? options.errorEvent : 'error';
+    var endEvent = options.endEvent || null;
+
+    function onEvent(value) {
+        chan.put(arguments.length > 1 ? Array.prototype.slice.call(arguments) : value);
+        if (options.once) {
+            chan.close();
+        }
+    }
+
+    function onError(err) {
+        chan.fail(err);
+    }
+
+    function onEnd() {
+        chan.close();
+    }
+
+    emitter.on(eventName, onEvent);
+    if (errorEvent) {
+        emitter.on(errorEvent, onError);
+    }
+    if (endEvent) {
+        emitter.on(endEvent, onEnd);
+    }
+
+    var end = chan.end;
+    chan.end = function () {
+        emitter.removeListener(eventName, onEvent);
+        if (errorEvent) {
+            emitter.removeListener(errorEvent, onError);
+        }
+        if (endEvent) {
+            emitter.removeListener(endEvent, onEnd);
+        }
+        end.call(this);
+    };
+    return chan;
+};
+
+// The reverse of `Channel.fromEvent`. Takes the values from this
+// channel and emits each of them as an event of the given name on the
+// emitter. Errors taken from the channel are emitted as `errorEvent`
+// (defaults to 'error') and the end of the channel as `endEvent`, if
+// one is given in the options. Gives the channel.
+//
+//      jobs.toEmitter(worker, 'job', {endEvent: 'done'});
+Channel.prototype.toEmitter = function (emitter, eventName, options) {
+    options = options || {};
+    var self = this;
+    var errorEvent = ('errorEvent' in options) ? options.errorEvent : 'error';
+
+    function receive(err, value) {
+        if (err) {
+            if (errorEvent) {
+                emitter.emit(errorEvent, err);
+            }
+            if (!failedWith(self, err)) {
+                self.take(receive);
+            }
+            return;
+        }
+        if (value === END) {
+            if (options.endEvent) {
+                emitter.emit(options.endEvent);
+            }
+            return;
+        }
+        emitter.emit(eventName, value);
+        self.take(receive);
+    }
+
+    this.take(receive);
     return this;
 };
 
@@ -570,20 +1813,33 @@ Channel.prototype.listen = function (domElement, eventName) {
 // for this change is that now the "piper" function is exposed
 // as the .add() method of the merged channel, to enable addition
 // of new channels to the merged stream on the fly. To remove
-// a channel from a merged stream, simply send a null value
-// to it.
+// a channel from a merged stream, close it.
 //
 // Breaking change: MergedChannelValue is now ChannelValue.
-Channel.merge = function (channels) {
-    var channel = new Channel();
+//
+// Breaking change: Channels are now removed from a merged
+// stream by closing them and not by sending a null value, so
+// that null can be passed through as a regular value. When a
+// source channel ends, a ChannelValue whose "val" is `Channel.END`
+// is placed on the merged channel. The reader can discard it. A
+// source channel that fails gives a ChannelValue with its error,
+// after which it is no longer read.
+//
+// `options`, if given, are used to make the merged channel. For
+// example, `{priority: function (cv) { ... }}` makes a merged priority
+// channel whose priority function gets the ChannelValues.
+Channel.merge = function (channels, options) {
+    var channel = new Channel(options);
 
     function piper(ch) {
         function writer(err, value) {
-            if (value !== null) {
+            if (err && failedWith(ch, err)) {
+                channel.put(new ChannelValue(ch, err, value));
+            } else if (value !== END) {
                 channel.put(new ChannelValue(ch, err, value), reader);
             } else {
                 // Indicate that the channel is finished. The reader can discard this.
-                channel.put(new ChannelValue(ch, null, null));
+                channel.put(new ChannelValue(ch, null, END));
             }
         }
         function reader(err, value) {
@@ -598,6 +1854,440 @@ Channel.merge = function (channels) {
     return channel;
 };
 
+// Makes a "mix" that puts the values coming on the channels added
+// to it using `admix()` into the `out` channel, much like `merge`,
+// except that the inputs can be added, removed and controlled on
+// the fly. Each input has three modes that can be toggled anytime -
+//
+//  mute  - Values are still taken from the input, but are dropped.
+//  pause - Values are no longer taken from the input.
+//  solo  - If any input is soloed, only the soloed inputs go into
+//          `out`. The others are muted, or paused if the mix's
+//          `soloMode('pause')` has been set.
+//
+// Errors taken from an input are put into `out` using `putError()`
+// like its values are. An input is removed from the mix when it ends
+// or fails. `out` defaults to a new channel and is available as the
+// mix's "out" property.
+//
+//      var m = Channel.mix();
+//      m.admix(mic).admix(line, {mute: true});
+//      ...
+//      m.toggle(line, {mute: false, solo: true});
+Channel.mix = function (out) {
+    return new Mix(out || new Channel());
+};
+
+function Mix(out) {
+    this.out = out;
+    this._inputs = [];
+    this._soloMode = 'mute';
+    return this;
+}
+
+function MixInput(chan) {
+    this.chan = chan;
+    this.mute = false;
+    this.pause = false;
+    this.solo = false;
+    this.busy = false;
+    this.removed = false;
+    this.op = null;
+    return this;
+}
+
+function mixInput(mix, chan) {
+    for (var i = 0, N = mix._inputs.length; i < N; ++i) {
+        if (mix._inputs[i].chan === chan) {
+            return mix._inputs[i];
+        }
+    }
+    return null;
+}
+
+// Adds the channel as an input to the mix, with its modes
+// optionally set using an object like `{mute: true}`.
+Mix.prototype.admix = function (chan, modes) {
+    if (!mixInput(this, chan)) {
+        this._inputs.push(new MixInput(chan));
+    }
+    return modes ? this.toggle(chan, modes) : mixUpdate(this);
+};
+
+// Removes the channel from the mix. A value already taken
+// from it still goes into the output.
+Mix.prototype.unmix = function (chan) {
+    var input = mixInput(this, chan);
+    if (input) {
+        mixRemove(this, input);
+    }
+    return mixUpdate(this);
+};
+
+Mix.prototype.unmixAll = function () {
+    while (this._inputs.length > 0) {
+        mixRemove(this, this._inputs[0]);
+    }
+    return this;
+};
+
+// Changes the given modes of an input, adding it to the mix
+// if it isn't already part of it. For example,
+// `m.toggle(ch, {pause: true})`. Modes not mentioned are left as is.
+Mix.prototype.toggle = function (chan, modes) {
+    var input = mixInput(this, chan);
+    if (!input) {
+        this._inputs.push(input = new MixInput(chan));
+    }
+    ['mute', 'pause', 'solo'].forEach(function (mode) {
+        if (mode in modes) {
+            input[mode] = !!modes[mode];
+        }
+    });
+    return mixUpdate(this);
+};
+
+// Sets what happens to inputs that are not soloed while some
+// are. `mode` is either 'mute' (the default) or 'pause'.
+Mix.prototype.soloMode = function (mode) {
+    if (mode !== 'mute' && mode !== 'pause') {
+        throw new Error('Unknown solo mode "' + mode + '"');
+    }
+    this._soloMode = mode;
+    return mixUpdate(this);
+};
+
+// Works out whether the input's values are to 'flow' into
+// the output, be dropped ('mute') or be left alone ('pause').
+function mixState(mix, input) {
+    var soloing = mix._inputs.some(function (i) { return i.solo; });
+    if (soloing) {
+        return input.solo ? 'flow' : mix._soloMode;
+    }
+    return input.pause ? 'pause' : (input.mute ? 'mute' : 'flow');
+}
+
+function mixRemove(mix, input) {
+    var pos = mix._inputs.indexOf(input);
+    if (pos >= 0) {
+        mix._inputs.splice(pos, 1);
+    }
+    input.removed = true;
+    if (input.op && input.op.cancel()) {
+        input.op = null;
+        input.busy = false;
+    }
+}
+
+// Starts reading from the inputs that may now be read
+// and withdraws the takes from the ones now paused.
+function mixUpdate(mix) {
+    mix._inputs.slice().forEach(function (input) {
+        if (mixState(mix, input) === 'pause') {
+            if (input.op && input.op.cancel()) {
+                input.op = null;
+                input.busy = false;
+            }
+        } else if (!input.busy) {
+            mixRead(mix, input);
+        }
+    });
+    return mix;
+}
+
+function mixRead(mix, input) {
+    input.busy = true;
+    input.op = input.chan.take(function (err, value) {
+        input.op = null;
+        if (value === END) {
+            input.busy = false;
+            mixRemove(mix, input);
+            return mixUpdate(mix);
+        }
+        var failed = err && failedWith(input.chan, err);
+        if (!input.removed && mixState(mix, input) === 'mute') {
+            return next(failed);
+        }
+        var put = err ? mix.out.putError : mix.out.put;
+        put.call(mix.out, err || value, function (err) {
+            if (err) {
+                // The output has been closed.
+                input.busy = false;
+                return mix.unmixAll();
+            }
+            next(failed);
+        });
+    });
+
+    function next(failed) {
+        input.busy = false;
+        if (failed) {
+            // A failed input gives nothing but its error from now on.
+            mixRemove(mix, input);
+            mixUpdate(mix);
+        } else if (!input.removed && mixState(mix, input) !== 'pause') {
+            mixRead(mix, input);
+        }
+    }
+}
+
+// Runs `taskFn` over the values taken from the `from` channel,
+// working on at most `n` values at a time, and puts the results
+// into the `to` channel in the same order as the values came in.
+// `taskFn` is called as `taskFn(value, callback)`, so any compiled
+// task taking one argument will do. When processing a value fails,
+// a ChannelValue whose "err" is the error and whose "val" is the
+// value that failed is put into `to` in place of the result.
+// Once `from` ends and all the results have been put, `to` is closed.
+// If `from` fails, its error is put into `to` as a ChannelValue and
+// `to` is closed once the values being worked on are done. Returns
+// the `to` channel.
+//
+// A value counts against `n` until its result has been taken from
+// `to`, so a slow reader slows down the pipeline instead of having
+// results pile up.
+//
+//      Channel.pipeline(4, urls, pages, task (url) { ... });
+Channel.pipeline = function (n, from, to, taskFn) {
+    return pipeline(n, from, to, taskFn, true);
+};
+
+// Like `Channel.pipeline`, but puts the results into `to` in the
+// order in which they become available, so that a slow value does
+// not hold up the ones after it.
+Channel.pipelineUnordered = function (n, from, to, taskFn) {
+    return pipeline(n, from, to, taskFn, false);
+};
+
+function pipeline(n, from, to, taskFn, ordered) {
+    var taking = null, ended = false, writing = false, active = 0;
+
+    // Slots for values being worked on. When ordered, a slot is
+    // queued as soon as its value is taken and its result is written
+    // once it and all the slots before it are ready. When unordered,
+    // slots are queued once they are ready.
+    var slots = new Queue();
+
+    function pump() {
+        if (!taking && !ended && active < n) {
+            taking = from.take(receive);
+        }
+    }
+
+    function receive(err, value) {
+        taking = null;
+        if (value === END) {
+            ended = true;
+            return finish();
+        }
+        if (err && failedWith(from, err)) {
+            ended = true;
+        }
+        var slot = {ready: false, item: null};
+        active++;
+        if (ordered) {
+            slots.push(slot);
+        }
+        if (err) {
+            complete(slot, value, err, null);
+        } else {
+            run(slot, value);
+        }
+        pump();
+    }
+
+    function run(slot, value) {
+        var called = false;
+        function callback(err, result) {
+            if (!called) {
+                called = true;
+                complete(slot, value, err, result);
+            }
+        }
+        try {
+            taskFn(value, callback);
+        } catch (e) {
+            callback(e, null);
+        }
+    }
+
+    function complete(slot, value, err, result) {
+        slot.ready = true;
+        slot.item = err ? new ChannelValue(to, err, value) : result;
+        if (!ordered) {
+            slots.push(slot);
+        }
+        flush();
+    }
+
+    function flush() {
+        if (!writing && slots.length > 0 && slots.get(0).ready) {
+            writing = true;
+            to.put(slots.shift().item, written);
+        }
+    }
+
+    function written(err) {
+        writing = false;
+        active--;
+        if (err) {
+            // The output channel has been closed. Stop taking values,
+            // withdrawing the take waiting on `from` if there is one.
+            ended = true;
+            if (taking && taking.cancel()) {
+                taking = null;
+            }
+        }
+        flush();
+        pump();
+        finish();
+    }
+
+    function finish() {
+        if (ended && active === 0) {
+            to.close();
+        }
+    }
+
+    pump();
+    return to;
+}
+
+// Waits on several channel operations and performs exactly one of
+// them - the first one that can complete - a la Go's `select` and
+// core.async's `alts!`. Unlike with `merge`, the channels that lose
+// are left untouched, with the other operations withdrawn from them.
+//
+// `ops` is an array whose entries are either channels to take from,
+// or `[chan, value]` pairs giving values to put into channels. The
+// callback receives a ChannelValue whose "chan" tells which channel
+// fired, whose "ix" gives the index of the operation in `ops` and
+// whose "val" is the value taken or put. An error from the operation
+// (such as putting into a closed channel) is in its "err".
+//
+// When more than one operation is ready, one of them is picked at
+// random unless `options.priority` is true, in which case the earliest
+// in `ops` is picked. If `options` has a `default` field and no operation
+// is ready right away, nothing is waited on and the callback receives
+// a ChannelValue with a null "chan", -1 as "ix" and `options.default`
+// as "val".
+//
+// Use it in a task like this -
+//
+//      x <- Channel.select([ch1, [ch2, 42], Channel.timeout(100)]);
+//      if (x.chan === ch1) { ... x.val ... }
+Channel.select = function (ops, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+    var handle = new ChannelOp(null, null);
+    armSelect(ops, options, callback, handle);
+    return handle;
+};
+
+// Does a ready operation of the select or waits on all of them. A
+// derived channel such as a `filter()` may drop the value a take of the
+// select got, and then arms the select again using the take's `_retry`.
+// The handle of the select is kept pointing to the operations waited on.
+function armSelect(ops, options, callback, handle) {
+    var N = ops.length;
+    var start = (options && options.priority) ? 0 : Math.floor(Math.random() * N);
+    var retry = function () {
+        armSelect(ops, options, callback, handle);
+    };
+    var i, op;
+
+    handle.inner = null;
+
+    // Do a ready operation without waiting if there is one.
+    for (i = 0; i < N; ++i) {
+        op = ops[(start + i) % N];
+        if (op instanceof Array ? op[0].isPutReady() : op.isTakeReady()) {
+            selectOp(ops, (start + i) % N, null, retry, callback);
+            return;
+        }
+    }
+
+    if (options && ('default' in options)) {
+        sendValue(selectedValue(null, -1, null, options.default), callback);
+        return;
+    }
+
+    var alt = new SelectAlt(ops);
+    handle.inner = alt;
+    for (i = 0; i < N && !alt.committed; ++i) {
+        selectOp(ops, (start + i) % N, alt, retry, callback);
+    }
+}
+
+function selectedValue(chan, ix, err, value) {
+    var cv = new ChannelValue(chan, err, value);
+    cv.ix = ix;
+    return cv;
+}
+
+function selectOp(ops, ix, alt, retry, callback) {
+    var op = ops[ix], chan, receiver;
+    if (op instanceof Array) {
+        chan = op[0];
+        receiver = function (err) {
+            callback(null, selectedValue(chan, ix, err, op[1]));
+        };
+        receiver._alt = alt;
+        chan.put(op[1], receiver);
+    } else {
+        chan = op;
+        receiver = function (err, value) {
+            callback(null, selectedValue(chan, ix, err, value));
+        };
+        receiver._alt = alt;
+        receiver._retry = retry;
+        chan.take(receiver);
+    }
+}
+
+// The flag shared by the operations of a select.
+function SelectAlt(ops) {
+    this.committed = false;
+    this._ops = ops;
+    return this;
+}
+
+// Cancelling a select withdraws all its operations.
+SelectAlt.prototype.cancel = function () {
+    if (this.committed) {
+        return false;
+    }
+    this.commit();
+    return true;
+};
+
+SelectAlt.prototype.commit = function () {
+    if (this.committed) {
+        return;
+    }
+    this.committed = true;
+    for (var i = 0, N = this._ops.length; i < N; ++i) {
+        var op = this._ops[i];
+        var base = baseChannel(op instanceof Array ? op[0] : op);
+        withdrawAlt(base._pending, this);
+        withdrawAlt(base._queue, this);
+    }
+};
+
+function withdrawAlt(queue, alt) {
+    var removed = [];
+    queue.removeIf(function (entry) {
+        if (entry && entry._alt === alt) {
+            removed.push(entry);
+            return true;
+        }
+        return false;
+    });
+    removed.forEach(withdrawn);
+}
+
 // It is sometimes useful to also have a value sent to
 // an existing channel after a timeout expires. If some
 // other process is supposed to write a value to the
@@ -667,18 +2357,155 @@ Channel.prototype.debounce = function (ms) {
     return ch;
 };
 
-function realPut(ch, value, callback) {
+// Until the debounce interval passes, the put waits in a queue
+// of its own, from which cancel() can withdraw it.
+function realPut(ch, op) {
     ch._timer = null;
-    ch._channel.put(value, callback);
+    if (op._queue && op._queue.length > 0) {
+        var q = op._queue.shift();
+        op.inner = ch._channel.put(q._value, q._callback, q._priority);
+    }
 }
 
-function debouncingPut(value, callback) {
+function debouncingPut(value, callback, priority) {
     if (this._timer) {
         clearTimeout(this._timer);
         this._timer = null;
     }
-    this._timer = setTimeout(realPut, this._debounceInterval_ms, this, value, callback);
-    return this;
+    var q = new CBV(callback, value);
+    q._priority = priority;
+    var queue = new Queue(1);
+    queue.push(q);
+    var op = new ChannelOp(queue, q, this);
+    this._timer = setTimeout(realPut, this._debounceInterval_ms, this, op);
+    return op;
+}
+
+// Returns a wrapped interface to the channel that lets at most
+// one put() through every "ms" milliseconds. If `options.leading`
+// is true (the default), the first put in an interval goes through
+// right away. If `options.trailing` is true (the default), the last
+// put made during the interval goes through once the interval ends.
+// Other puts are dropped, with their callbacks getting `null`.
+Channel.prototype.throttle = function (ms, options) {
+    var ch = Object.create(this);
+    ch._channel = this;
+    ch._throttleInterval_ms = ms;
+    ch._throttleLeading = !options || options.leading !== false;
+    ch._throttleTrailing = !options || options.trailing !== false;
+    ch._timer = null;
+    ch._trailingOp = null;
+    ch.put = throttlingPut;
+    return ch;
+};
+
+// Like the debounced put, the trailing put waits in a queue
+// of its own, from which cancel() can withdraw it.
+function throttleIntervalEnd(ch) {
+    var op = ch._trailingOp;
+    ch._timer = null;
+    ch._trailingOp = null;
+    if (op && op._queue && op._queue.length > 0) {
+        var q = op._queue.shift();
+        ch._timer = setTimeout(throttleIntervalEnd, ch._throttleInterval_ms, ch);
+        op.inner = ch._channel.put(q._value, q._callback, q._priority);
+    }
+}
+
+function dropPut(chan, callback) {
+    if (chan._stats) {
+        chan._stats.dropped++;
+    }
+    commitAlt(callback);
+    sendValue(null, callback);
+    return DONE;
+}
+
+function throttlingPut(value, callback, priority) {
+    if (this.isClosed()) {
+        return this._channel.put(value, callback, priority);
+    }
+    if (!this._timer) {
+        this._timer = setTimeout(throttleIntervalEnd, this._throttleInterval_ms, this);
+        if (this._throttleLeading) {
+            return this._channel.put(value, callback, priority);
+        }
+    }
+    if (!this._throttleTrailing) {
+        return dropPut(this, callback);
+    }
+    var op = this._trailingOp;
+    if (op && op._queue && op._queue.length > 0) {
+        // Replace the previous trailing put.
+        dropPut(this, op._queue.shift()._callback);
+    }
+    var q = new CBV(callback, value);
+    q._priority = priority;
+    var queue = new Queue(1);
+    queue.push(q);
+    this._trailingOp = new ChannelOp(queue, q, this);
+    return this._trailingOp;
+}
+
+// Returns a wrapped interface to the channel that lets puts through
+// at an average of `options.rate` values per second, with bursts of
+// up to `options.burst` values (default 1) let through at once after
+// a quiet period - i.e. a "token bucket". Puts beyond that wait their
+// turn, unless `options.drop` is true, in which case they are dropped
+// with their callbacks getting `null`.
+Channel.prototype.rateLimit = function (options) {
+    var ch = Object.create(this);
+    ch._channel = this;
+    ch._rate = options.rate;
+    ch._burst = options.burst || 1;
+    ch._rateLimitDrop = !!options.drop;
+    ch._tokens = ch._burst;
+    ch._tokensTime = Date.now();
+    ch._limited = new Queue();
+    ch._timer = null;
+    ch.put = rateLimitedPut;
+    return ch;
+};
+
+function refillTokens(ch) {
+    var now = Date.now();
+    ch._tokens = Math.min(ch._burst, ch._tokens + (now - ch._tokensTime) * ch._rate / 1000);
+    ch._tokensTime = now;
+}
+
+function releaseLimited(ch) {
+    ch._timer = null;
+    refillTokens(ch);
+    var q;
+    while (ch._tokens >= 1 && (q = shiftLive(ch._limited))) {
+        ch._tokens -= 1;
+        q._op.inner = ch._channel.put(q._value, q._callback, q._priority);
+    }
+    if (ch._limited.length > 0) {
+        ch._timer = setTimeout(releaseLimited, Math.ceil((1 - ch._tokens) * 1000 / ch._rate), ch);
+    }
+}
+
+function rateLimitedPut(value, callback, priority) {
+    if (this.isClosed()) {
+        return this._channel.put(value, callback, priority);
+    }
+    refillTokens(this);
+    if (this._tokens >= 1 && this._limited.length === 0) {
+        this._tokens -= 1;
+        return this._channel.put(value, callback, priority);
+    }
+    if (this._rateLimitDrop) {
+        return dropPut(this, callback);
+    }
+    var q = new CBV(callback, value);
+    q._priority = priority;
+    q._op = new ChannelOp(this._limited, q, this);
+    this._limited.push(q);
+    if (!this._timer) {
+        this._timer = setTimeout(releaseLimited, Math.ceil((1 - this._tokens) * 1000 / this._rate), this);
+    }
+    return q._op;
 }
 
 
@@ -691,26 +2518,34 @@ Channel.prototype.buffer = function (N) {
     ch._channel = this;
     ch._bufferLength = N;
     ch.put = bufferedPut;
-    ch.take = bufferedTake;
+    ch.take = takeMethod(bufferedTake);
+    ch.isPutReady = bufferedIsPutReady;
     return ch;
 };
 
-function bufferedPut(value, callback) {
-    if (this.backlog() < this._bufferLength) {
-        this._channel.put(value);
+function bufferedIsPutReady() {
+    return this.backlog() < this._bufferLength || this.isClosed();
+}
+
+function bufferedPut(value, callback, priority) {
+    if (this.backlog() < this._bufferLength && !this.isClosed()) {
+        this._channel.put(value, null, priority);
         sendValue(value, callback);
+        return DONE;
     } else {
-        this._channel.put(value, callback);
+        return this._channel.put(value, callback, priority);
     }
 }
 
 function bufferedTake(callback) {
-    this._channel.take(callback);
+    var op = this._channel.take(callback);
     if (this.backlog() >= this._bufferLength) {
-        var q = this._queue[this._bufferLength - 1];
+        var q = this._queue.get(this._bufferLength - 1);
+        commitAlt(q);
         sendValue(q._value, q._callback);
         q._callback = null;
     }
+    return op;
 }
 
 // Every time a bucket's level falls below the low water mark,
@@ -725,10 +2560,11 @@ Channel.prototype.bucket = function (fullSize, lowWaterMark) {
     ch._channel = this;
     ch._bufferLength = fullSize;
     ch._bucketLowWaterMark = lowWaterMark || 0;
-    ch._suspendedTakes = [];
+    ch._suspendedTakes = new Queue();
     ch.waitingTillFull = true;
-    ch.take = bucketTake;
+    ch.take = takeMethod(bucketTake);
     ch.put = bucketPut;
+    ch.isPutReady = bufferedIsPutReady;
     return ch;
 };
 
@@ -744,7 +2580,7 @@ function bucketTake(callback) {
         if (this.backlog() > this._bufferLength) {
             // Full reached.
             this.waitingTillFull = false;
-            this.take(callback);
+            return this.take(callback);
         } else {
             this._suspendedTakes.push(callback);
         }
@@ -752,10 +2588,11 @@ function bucketTake(callback) {
         this._suspendedTakes.push(callback);
         bucketProcSuspendedTakes(this);
     }
+    return new ChannelOp(this._suspendedTakes, callback, this);
 }
 
-function bucketPut(value, callback) {
-    bufferedPut.call(this, value, callback);
+function bucketPut(value, callback, priority) {
+    var op = bufferedPut.call(this, value, callback, priority);
     if (this.waitingTillFull) {
         if (this.backlog() > this._bufferLength) {
             // Full reached.
@@ -764,6 +2601,7 @@ function bucketPut(value, callback) {
     } else {
         bucketProcSuspendedTakes(this);
     }
+    return op;
 }
 
 
@@ -782,17 +2620,28 @@ Channel.prototype.droppingBuffer = function (N) {
     ch._channel = this;
     ch._bufferLength = N;
     ch.put = droppingPut;
+    ch.isPutReady = alwaysReady;
     return ch;
 };
 
-function droppingPut(value, callback) {
-    if (this.backlog() < this._bufferLength) {
-        this._channel.put(value);
+function alwaysReady() {
+    return true;
+}
+
+function droppingPut(value, callback, priority) {
+    if (this.isClosed()) {
+        return this._channel.put(value, callback, priority);
+    } else if (this.backlog() < this._bufferLength) {
+        this._channel.put(value, null, priority);
         sendValue(value, callback);
     } else {
         // Drop the value.
+        if (this._stats) {
+            this._stats.dropped++;
+        }
         sendValue(null, callback);
     }
+    return DONE;
 }
 
 // In the same situation as with `droppingBuffer`,
@@ -810,16 +2659,20 @@ Channel.prototype.expiringBuffer = function (N) {
     ch._channel = this;
     ch._bufferLength = N;
     ch.put = expiringPut;
+    ch.isPutReady = alwaysReady;
     return ch;
 };
 
-function expiringPut(value, callback) {
+function expiringPut(value, callback, priority) {
+    if (this.isClosed()) {
+        return this._channel.put(value, callback, priority);
+    }
     while (this.backlog() >= this._bufferLength) {
         this.take();
     }
-    this._channel.put(value);
+    this._channel.put(value, null, priority);
     sendValue(value, callback);
-    return this;
+    return DONE;
 }
 
 // Makes a "fanout" channel that can be "connect()"ed to
@@ -871,7 +2724,7 @@ function fanoutStart() {
     if (!self._started) {
         self._started = true;
         self.take(function receive(err, value) {
-            if (value !== null) {
+            if (value !== END && !(err && failedWith(self, err))) {
                 for (var i = 0, N = self._connections.length; i < N; ++i) {
                     self._connections[i].put(value);
                 }
@@ -882,4 +2735,174 @@ function fanoutStart() {
     return self;
 }
 
+// Makes a "publication" of the values coming on the `source` channel,
+// routing each value to the channels subscribed to its topic, which
+// is given by `topicFn(value)`. Values whose topic has no subscribers
+// are dropped. Every subscriber of a topic gets every value of that
+// topic, and a topic takes its next value only once all its subscribers
+// have accepted the current one.
+//
+// `policyFn(topic)`, if given, sets up the buffer between the source
+// and the subscribers of a topic, so that a slow topic need not hold up
+// the others. It returns an object of the form `{policy: p, size: N}`
+// where `p` is one of -
+//
+//  'block'  - Up to N values wait for the subscribers. After that, the
+//             source waits. This is what `buffer(N)` does.
+//  'drop'   - Up to N values wait and later values are dropped. This
+//             is what `droppingBuffer(N)` does.
+//  'expire' - Up to N values wait and later values push out the older
+//             ones. This is what `expiringBuffer(N)` does.
+//
+// Without a policy, the source waits until all the subscribers of the
+// value's topic have accepted it.
+//
+// Errors taken from the source are passed on to the subscribers of
+// every topic using `putError()`. When the source ends, the subscriber
+// channels are closed, and when it fails, they fail with its error.
+//
+//      var p = Channel.pub(events, function (e) { return e.type; });
+//      var clicks = p.sub('click');
+Channel.pub = function (source, topicFn, policyFn) {
+    return new Publication(source, topicFn, policyFn);
+};
+
+function Publication(source, topicFn, policyFn) {
+    var self = this;
+    this._topicFn = topicFn;
+    this._policyFn = policyFn || null;
+    this._topics = new Map();
+    source.take(function route(err, value) {
+        if (value === END || (err && failedWith(source, err))) {
+            self._topics.forEach(function (topic) {
+                if (err) {
+                    topic.chan.fail(err);
+                } else {
+                    topic.chan.close();
+                }
+            });
+            return;
+        }
+        if (err) {
+            // An error has no topic, so it goes to every topic.
+            var topics = Array.from(self._topics.values()), waiting = topics.length;
+            if (waiting === 0) {
+                return source.take(route);
+            }
+            topics.forEach(function (topic) {
+                topic.chan.putError(err, function () {
+                    if (--waiting === 0) {
+                        source.take(route);
+                    }
+                });
+            });
+            return;
+        }
+        var topic = self._topics.get(topicFn(value));
+        if (topic) {
+            topic.chan.put(value, function () {
+                source.take(route);
+            });
+        } else {
+            source.take(route);
+        }
+    });
+    return this;
+}
+
+// Subscribes the given channel to the topic and returns it.
+// A new channel is made if none is given.
+Publication.prototype.sub = function (topic, chan) {
+    chan = chan || new Channel();
+    var t = this._topics.get(topic);
+    if (!t) {
+        t = new Topic(this._policyFn ? this._policyFn(topic) : null);
+        this._topics.set(topic, t);
+    }
+    if (t.subs.indexOf(chan) < 0) {
+        t.subs.push(chan);
+    }
+    return chan;
+};
+
+// Unsubscribes the channel from the topic. The channel is left open.
+Publication.prototype.unsub = function (topic, chan) {
+    var t = this._topics.get(topic);
+    var pos = t ? t.subs.indexOf(chan) : -1;
+    if (pos >= 0) {
+        t.subs.splice(pos, 1);
+    }
+    return this;
+};
+
+// Unsubscribes all the channels from the given topic, or from all
+// topics if no topic is given. Values of the topic that are waiting
+// in its buffer are dropped. The channels are left open.
+Publication.prototype.unsubAll = function (topic) {
+    var self = this;
+    if (arguments.length === 0) {
+        this._topics.forEach(function (t, topic) {
+            self.unsubAll(topic);
+        });
+        return this;
+    }
+    var t = this._topics.get(topic);
+    if (t) {
+        this._topics.delete(topic);
+        t.subs = [];
+        t.chan.close();
+    }
+    return this;
+};
+
+function Topic(policy) {
+    var chan = new Channel();
+    if (policy) {
+        switch (policy.policy) {
+            case 'block': chan = chan.buffer(policy.size); break;
+            case 'drop': chan = chan.droppingBuffer(policy.size); break;
+            case 'expire': chan = chan.expiringBuffer(policy.size); break;
+            default: throw new Error('Unknown buffer policy "' + policy.policy + '"');
+        }
+    }
+    this.chan = chan;
+    this.subs = [];
+    topicStart(this);
+    return this;
+}
+
+function topicStart(topic) {
+    topic.chan.take(function receive(err, value) {
+        var subs = topic.subs.slice(), waiting = subs.length, error = err;
+        if (value === END || (err && failedWith(topic.chan, err))) {
+            subs.forEach(function (chan) {
+                if (error) {
+                    chan.fail(error);
+                } else {
+                    chan.close();
+                }
+            });
+            return;
+        }
+        if (waiting === 0) {
+            return topic.chan.take(receive);
+        }
+        subs.forEach(function (chan) {
+            var put = error ? chan.putError : chan.put;
+            put.call(chan, error || value, function (err) {
+                if (err instanceof ChannelClosedError) {
+                    // Closing a subscriber unsubscribes it.
+                    var pos = topic.subs.indexOf(chan);
+                    if (pos >= 0) {
+                        topic.subs.splice(pos, 1);
+                    }
+                }
+                if (--waiting === 0) {
+                    topic.chan.take(receive);
+                }
+            });
+        });
+    });
+}
+
 module.exports = Channel;
@@ -0,0 +1,186 @@
+// Debug mode for finding tasks that are stuck and channels that leak.
+//
+// When a task waits on a channel that nobody will ever put into, its
+// state machine simply never calls back and nothing reports it. With
+// debug mode turned on using `Channel.debug.enable()`, all live tasks
+// and channels are tracked. When the process runs out of things to do
+// (no timers, no IO) while tasks are still waiting, each stuck task is
+// reported by its name and the step at which it is waiting, along with
+// the channel it is waiting on, if any. Channels with takers or putters
+// still waiting on them are reported too. To get useful reports, name
+// your tasks and your channels, as in `new Channel({name: 'jobs'})`.
+//
+// Debug mode also flags channels whose queues grow past a threshold,
+// since values that pile up without being taken are usually a leak.
+//
+// Tracking costs memory and time, so only use it while debugging.
+// Channels are tracked through `WeakRef`s where the platform has them,
+// so that the many channels that are never closed can still be garbage
+// collected. Otherwise, channels are tracked until closed and drained.
+
+var metrics = require('./metrics.js');
+
+var enabled = false;
+var options = null;
+var tasks = new Set();
+var channels = [];
+var pruneAt = 1000;
+
+// Turns on debug mode. `opts` can have -
+//
+//  queueThreshold - The queue length past which a channel is flagged.
+//                   Defaults to 10000. The channel is flagged again each
+//                   time its queue doubles in length. 0 turns it off.
+//  report         - A function called as `report(kind, info, message)`
+//                   with kind being 'deadlock' or 'queue-growth'. The
+//                   default prints the message using console.error.
+//  onIdle         - Whether to check for stuck tasks when the process
+//                   is about to go idle. Defaults to true.
+//
+// Only the tasks and channels made after this is called are tracked.
+function enable(opts) {
+    opts = opts || {};
+    options = {
+        queueThreshold: ('queueThreshold' in opts) ? opts.queueThreshold : 10000,
+        report: opts.report || defaultReport,
+        onIdle: opts.onIdle !== false
+    };
+    if (!enabled && options.onIdle && typeof process !== 'undefined' && process.on) {
+        process.on('beforeExit', onBeforeExit);
+    }
+    enabled = true;
+    exports.enabled = true;
+}
+
+function disable() {
+    if (enabled && typeof process !== 'undefined' && process.removeListener) {
+        process.removeListener('beforeExit', onBeforeExit);
+    }
+    enabled = false;
+    exports.enabled = false;
+    tasks.clear();
+    channels = [];
+}
+
+function defaultReport(kind, info, message) {
+    console.error('cspjs: ' + message);
+}
+
+function onBeforeExit() {
+    check();
+}
+
+// Called by StateMachine and Channel when debug mode is on.
+function trackTask(state_machine) {
+    tasks.add(state_machine);
+}
+
+function untrackTask(state_machine) {
+    tasks.delete(state_machine);
+}
+
+function trackChannel(chan) {
+    channels.push(typeof WeakRef === 'function' ? new WeakRef(chan) : chan);
+    if (channels.length >= pruneAt) {
+        pruneChannels();
+        pruneAt = Math.max(1000, 2 * channels.length);
+    }
+}
+
+function deref(entry) {
+    return (typeof WeakRef === 'function' && entry instanceof WeakRef) ? entry.deref() : entry;
+}
+
+// Stops tracking the channels that have been garbage collected,
+// or closed and drained.
+function pruneChannels() {
+    channels = channels.filter(function (entry) {
+        var chan = deref(entry);
+        return chan && (!chan._closed || chan._queue.length > 0);
+    });
+}
+
+function channelName(chan) {
+    return (chan && chan._name) || 'unnamed channel';
+}
+
+// Finds the channel that a (possibly wrapped) channel operation is on.
+function opChannel(op) {
+    while (op && op.inner) {
+        op = op.inner;
+    }
+    return (op && op.channel) || null;
+}
+
+// Describes the tasks that are waiting on something right now.
+function waitingTasks() {
+    var result = [];
+    tasks.forEach(function (sm) {
+        if (sm.state.isFinished) {
+            tasks.delete(sm);
+        } else if (sm.state.waiting > 0) {
+            var chan = opChannel(sm.state.pendingOp);
+            result.push({
+                taskName: sm.task_fn.name || 'unnamed',
+                step: sm.state.waitStep,
+                channel: chan,
+                channelName: chan ? channelName(chan) : null
+            });
+        }
+    });
+    return result;
+}
+
+// Describes the channels that have takers or putters waiting on them.
+function waitingChannels() {
+    var result = [];
+    pruneChannels();
+    channels.forEach(function (entry) {
+        var chan = deref(entry);
+        var takers = chan._pending.length, putters = metrics.blockedPutters(chan);
+        if (takers > 0 || putters > 0) {
+            result.push({channel: chan, channelName: channelName(chan), takers: takers, putters: putters});
+        }
+    });
+    return result;
+}
+
+// Reports the tasks and channels that are waiting. Called automatically
+// when the process is about to go idle, at which point anything still
+// waiting will wait forever. Can also be called explicitly. Returns
+// `{tasks: [...], channels: [...]}`, as given to the report function.
+function check() {
+    var info = {tasks: waitingTasks(), channels: waitingChannels()};
+    if (info.tasks.length > 0 || info.channels.length > 0) {
+        var lines = ['deadlock - ' + info.tasks.length + ' task(s) waiting forever'];
+        info.tasks.forEach(function (t) {
+            lines.push('  task ' + t.taskName + ':' + t.step + ' waiting on ' + (t.channel ? t.channelName : 'a callback'));
+        });
+        info.channels.forEach(function (c) {
+            lines.push('  channel ' + c.channelName + ' has ' + c.takers + ' taker(s) and ' + c.putters + ' putter(s) waiting');
+        });
+        options.report('deadlock', info, lines.join('\n'));
+    }
+    return info;
+}
+
+// Called by Channel when debug mode is on and a value has been queued.
+function queued(chan) {
+    var threshold = options.queueThreshold, length = chan._queue.length;
+    if (threshold > 0 && length > threshold && length > (chan._debugFlaggedAt || 0) * 2) {
+        chan._debugFlaggedAt = length;
+        options.report('queue-growth', {channel: chan, channelName: channelName(chan), length: length},
+                       'channel ' + channelName(chan) + ' has ' + length + ' values queued in it');
+    }
+}
+
+exports.enabled = false;
+exports.enable = enable;
+exports.disable = disable;
+exports.check = check;
+exports.waitingTasks = waitingTasks;
+exports.waitingChannels = waitingChannels;
+exports.trackTask = trackTask;
+exports.untrackTask = untrackTask;
+exports.trackChannel = trackChannel;
+exports.queued = queued;
@@ -0,0 +1,290 @@
+
+// Extends the Channel class with durable channels, whose values
+// survive the process going down.
+//
+// `Channel.durable(file)` makes a channel that records each value put
+// into it in an append-only journal file before the value goes into
+// the channel, and records the value as acknowledged once it has been
+// taken. When a durable channel is made on an existing journal, the
+// values that were never acknowledged are put into it again, so each
+// value is taken at least once, even across crashes -
+//
+//      var jobs = Channel.durable('/var/lib/myapp/jobs.journal');
+//      ...
+//      await jobs.put(job); // Done once the job is on disk and taken.
+//
+// The journal is a sequence of length-prefixed frames (see framing.js)
+// of put and ack records. As acknowledged values pile up in it, the
+// journal is compacted by rewriting it with only the values still
+// pending.
+
+var Channel = require('./channel');
+var framing = require('./framing');
+var fs = require('fs');
+
+// The journal of a durable channel. Records are appended in batches,
+// one batch at a time, so that the file always holds whole records in
+// the order they were appended, except perhaps for a record cut short
+// by a crash at the end, which is dropped when the journal is read.
+function Journal(file, codec, options) {
+    this.file = file;
+    this.codec = codec;
+    this.sync = !!options.sync;
+    this.compactEvery = options.compactEvery || 1000;
+    this.live = new Map();      // id -> value, for values not acknowledged yet.
+    this.nextId = 1;
+    this._acked = 0;            // Acks written since the last compaction.
+    this._batch = [];           // Frames waiting to be written.
+    this._callbacks = [];
+    this._writing = false;
+    this._closing = false;
+    this._fd = null;
+    return this;
+}
+
+// Reads the journal file, if there is one, to find the values not
+// acknowledged yet, then compacts it if anything was acknowledged.
+// Gives the ids of the pending values in the order they were put.
+Journal.prototype.open = function () {
+    var buffer = null, acks = 0;
+    try {
+        buffer = fs.readFileSync(this.file);
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            throw e;
+        }
+    }
+    if (buffer) {
+        var frames = framing.decodeFrames(buffer, this.codec, framing.MAX_FRAME);
+        if (frames.error) {
+            throw frames.error;
+        }
+        frames.messages.forEach(function (record) {
+            if (record.op === 'put') {
+                this.live.set(record.id, record.value);
+            } else if (record.op === 'ack') {
+                this.live.delete(record.id);
+                ++acks;
+            }
+            this.nextId = Math.max(this.nextId, record.id + 1);
+        }, this);
+        if (frames.used < buffer.length) {
+            // A record cut short at the end.
+            fs.truncateSync(this.file, frames.used);
+        }
+    }
+    if (acks > 0) {
+        fs.writeFileSync(this.file + '.compact', this.snapshot());
+        fs.renameSync(this.file + '.compact', this.file);
+    }
+    this._fd = fs.openSync(this.file, 'a');
+    return Array.from(this.live.keys());
+};
+
+// The put records of the values not acknowledged yet.
+Journal.prototype.snapshot = function () {
+    var frames = [];
+    this.live.forEach(function (value, id) {
+        frames.push(framing.encodeFrame(this.codec, {op: 'put', id: id, value: value}));
+    }, this);
+    return Buffer.concat(frames);
+};
+
+// Appends a record of a new value and calls back with its id
+// once the record is written.
+Journal.prototype.put = function (value, callback) {
+    var id = this.nextId++;
+    this.live.set(id, value);
+    this.append({op: 'put', id: id, value: value}, function (err) {
+        callback(err, id);
+    });
+};
+
+Journal.prototype.ack = function (id, callback) {
+    var journal = this;
+    if (this.live.delete(id)) {
+        this.append({op: 'ack', id: id}, function (err) {
+            if (!err) {
+                // Counted once written, so that the acks still waiting
+                // to be written when the journal is compacted count
+                // towards the next compaction.
+                journal._acked++;
+            }
+            callback(err);
+        });
+    } else {
+        callback(null);
+    }
+};
+
+Journal.prototype.append = function (record, callback) {
+    this._batch.push(framing.encodeFrame(this.codec, record));
+    this._callbacks.push(callback);
+    if (!this._writing) {
+        writeBatch(this);
+    }
+};
+
+// Writes the frames appended so far in one go, then compacts the
+// journal if it is time to, and then goes on to the next batch.
+function writeBatch(journal) {
+    var callbacks = journal._callbacks;
+    if (callbacks.length === 0) {
+        journal._writing = false;
+        if (journal._closing && journal._fd !== null) {
+            fs.close(journal._fd, function () {});
+            journal._fd = null;
+        }
+        return;
+    }
+    var buffer = Buffer.concat(journal._batch);
+    journal._batch = [];
+    journal._callbacks = [];
+    if (journal._fd === null) {
+        callbacks.forEach(function (callback) {
+            callback(new Error('The journal ' + journal.file + ' is closed'));
+        });
+        return writeBatch(journal);
+    }
+    journal._writing = true;
+    writeAll(journal._fd, buffer, journal.sync, function (err) {
+        callbacks.forEach(function (callback) {
+            callback(err || null);
+        });
+        if (journal._acked >= journal.compactEvery) {
+            compact(journal, function (err) {
+                writeBatch(journal);
+            });
+        } else {
+            writeBatch(journal);
+        }
+    });
+}
+
+function writeAll(fd, buffer, sync, callback) {
+    fs.write(fd, buffer, 0, buffer.length, null, function (err, written) {
+        if (err) {
+            return callback(err);
+        }
+        if (written < buffer.length) {
+            return writeAll(fd, buffer.slice(written), sync, callback);
+        }
+        if (sync) {
+            return fs.fsync(fd, callback);
+        }
+        callback(null);
+    });
+}
+
+// Rewrites the journal with only the values not acknowledged yet. The
+// new journal is written alongside and then renamed over the old one,
+// so that a crash midway leaves one or the other in place. If it fails,
+// the old journal stays in use.
+function compact(journal, callback) {
+    var tmp = journal.file + '.compact';
+    fs.writeFile(tmp, journal.snapshot(), function (err) {
+        if (err) {
+            return callback(err);
+        }
+        fs.rename(tmp, journal.file, function (err) {
+            if (err) {
+                return callback(err);
+            }
+            fs.close(journal._fd, function () {
+                fs.open(journal.file, 'a', function (err, fd) {
+                    journal._fd = err ? null : fd;
+                    journal._acked = 0;
+                    callback(err || null);
+                });
+            });
+        });
+    });
+}
+
+// Closes the journal once the records appended so far are written.
+Journal.prototype.close = function () {
+    this._closing = true;
+    if (!this._writing) {
+        writeBatch(this);
+    }
+};
+
+// Makes a channel backed by the journal file at the given path.
+// Options -
+//
+//  codec        - How records are encoded in the journal. An object with
+//                 `encode(record)` giving a Buffer or string and
+//                 `decode(buffer)` giving back the record. Defaults to
+//                 JSON, so the values put must survive JSON.
+//  sync         - If true, the journal is flushed to the disk using
+//                 fsync before a put counts as persisted. Slower, but
+//                 survives the machine going down and not just the
+//                 process.
+//  compactEvery - How many acknowledgements to let pile up before
+//                 compacting the journal. Defaults to 1000.
+//
+// The journal is read and the values pending in it are put into the
+// new channel before this returns. Only one durable channel should be
+// using a journal at any time.
+//
+// A put's callback is called once the value has been written to the
+// journal, taken from the channel and recorded as acknowledged. Puts
+// of values that are being written can't be withdrawn, so they can't
+// be used in a select. Once the channel is closed and all its values
+// have been taken, the journal file is closed, leaving it empty of
+// pending values.
+Channel.durable = function (file, options) {
+    options = options || {};
+    var chan = new Channel();
+    var journal = new Journal(file, options.codec || framing.jsonCodec, options);
+    var put = chan.put;
+
+    // Puts the journalled value into the channel, acknowledging it
+    // when it is taken. A value the channel refuses for having been
+    // closed is acknowledged too, since its putter gets the error.
+    function enqueue(id, value, callback) {
+        put.call(chan, value, function (err) {
+            journal.ack(id, function (ackErr) {
+                if (callback) {
+                    callback(err || ackErr || null, err ? null : value);
+                }
+                if (ackErr) {
+                    chan.fail(ackErr);
+                }
+                closeIfDone();
+            });
+        });
+    }
+
+    function closeIfDone() {
+        if (chan._closed && journal.live.size === 0) {
+            journal.close();
+        }
+    }
+
+    chan.put = function (value, callback) {
+        if (this._closed) {
+            return put.call(this, value, callback);
+        }
+        journal.put(value, function (err, id) {
+            if (err) {
+                journal.live.delete(id);
+                if (callback) {
+                    callback(err, null);
+                }
+                return;
+            }
+            enqueue(id, value, callback);
+        });
+        return new Channel.ChannelOp(null, null, this);
+    };
+
+    journal.open().forEach(function (id) {
+        enqueue(id, journal.live.get(id), null);
+    });
+
+    chan.onClose(closeIfDone);
+    return chan;
+};
+
+module.exports = Channel;
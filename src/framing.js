@@ -0,0 +1,59 @@
+
+// Length-prefixed framing of messages, used to carry channel traffic
+// over sockets (see net.js) and to store it in journals (see durable.js).
+//
+// A frame is a 4-byte big-endian length followed by that many bytes
+// of the encoded message. A codec is an object with `encode(message)`
+// giving a Buffer or string and `decode(buffer)` giving back the
+// message. Messages are encoded as JSON by default.
+
+var jsonCodec = {
+    encode: function (message) {
+        return JSON.stringify(message);
+    },
+    decode: function (buffer) {
+        return JSON.parse(buffer.toString('utf8'));
+    }
+};
+
+function encodeFrame(codec, message) {
+    var body = codec.encode(message);
+    if (typeof body === 'string') {
+        body = Buffer.from(body, 'utf8');
+    }
+    var header = Buffer.alloc(4);
+    header.writeUInt32BE(body.length, 0);
+    return Buffer.concat([header, body]);
+}
+
+// Decodes the whole frames at the start of the buffer. Gives the
+// messages along with the number of bytes they took up, the rest
+// of the buffer being an incomplete frame. Decoding stops at a frame
+// that is bigger than `maxFrame` bytes or cannot be decoded, and the
+// reason is given as "error", after the messages that came before it.
+function decodeFrames(buffer, codec, maxFrame) {
+    var messages = [], used = 0;
+    while (buffer.length - used >= 4) {
+        var length = buffer.readUInt32BE(used);
+        if (length > maxFrame) {
+            return {messages: messages, used: used, error: new Error('Frame of ' + length + ' bytes is too big')};
+        }
+        if (buffer.length - used < 4 + length) {
+            break;
+        }
+        try {
+            messages.push(codec.decode(buffer.slice(used + 4, used + 4 + length)));
+        } catch (e) {
+            return {messages: messages, used: used, error: e};
+        }
+        used += 4 + length;
+    }
+    return {messages: messages, used: used, error: null};
+}
+
+module.exports = {
+    jsonCodec: jsonCodec,
+    encodeFrame: encodeFrame,
+    decodeFrames: decodeFrames,
+    MAX_FRAME: 16 * 1024 * 1024
+};
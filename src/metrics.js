@@ -0,0 +1,200 @@
+// Opt-in instrumentation for channels.
+//
+// A channel made using `new Channel({metrics: true})`, or any channel
+// made after `Channel.metrics.enable()` has been called, keeps count
+// of what goes through it in a ChannelStats object and is listed in
+// a registry. `Channel.metrics.snapshot()` gives the state of all the
+// registered channels and `Channel.metrics.prometheus()` gives the
+// same in the Prometheus text format. Of the channels instrumented by
+// `enable()`, only those given names using `new Channel({name: 'jobs'})`
+// are reported unless asked otherwise, so that short-lived channels made
+// in passing don't each add a series. Channels made with `metrics: true`
+// are always reported.
+//
+// The registry holds channels weakly where the platform has `WeakRef`,
+// so that instrumented channels that are no longer used can be garbage
+// collected. Otherwise, channels stay in it until they are closed and
+// drained.
+//
+// Wrapper channels made from an instrumented channel (using buffer(),
+// map() and the like) share its stats.
+
+var enabled = false;
+var registry = [];
+var pruneAt = 1000;
+var nextId = 1;
+
+// Makes all channels made from now on instrumented,
+// or stops doing that if `flag` is false.
+function enable(flag) {
+    enabled = (arguments.length === 0) || !!flag;
+}
+
+function isEnabled() {
+    return enabled;
+}
+
+// `listed` tells whether the channel is reported by default.
+function ChannelStats(name, listed) {
+    this.name = name || ('channel_' + nextId);
+    this.listed = !!(name || listed);
+    this.id = nextId++;
+    this.puts = 0;
+    this.takes = 0;
+    this.dropped = 0;
+    this.highWater = 0;
+    this.queuedCount = 0;
+    this.queuedTime_ms = 0;
+    this.maxQueuedTime_ms = 0;
+    return this;
+}
+
+// Called when a value goes into the channel's queue
+// because there is no taker waiting for it.
+ChannelStats.prototype.queued = function (entry, length) {
+    entry._time = Date.now();
+    if (length > this.highWater) {
+        this.highWater = length;
+    }
+};
+
+// Called when a value leaves the channel's queue. A value taken
+// without a callback is being discarded and counts as dropped.
+ChannelStats.prototype.dequeued = function (entry, taken) {
+    if (taken) {
+        this.takes++;
+    } else {
+        this.dropped++;
+    }
+    if (entry._time) {
+        var t = Date.now() - entry._time;
+        this.queuedCount++;
+        this.queuedTime_ms += t;
+        if (t > this.maxQueuedTime_ms) {
+            this.maxQueuedTime_ms = t;
+        }
+    }
+};
+
+function register(chan) {
+    registry.push(typeof WeakRef === 'function' ? new WeakRef(chan) : chan);
+    if (registry.length >= pruneAt) {
+        prune();
+        pruneAt = Math.max(1000, 2 * registry.length);
+    }
+}
+
+function deref(entry) {
+    return (typeof WeakRef === 'function' && entry instanceof WeakRef) ? entry.deref() : entry;
+}
+
+// Drops the channels that have been garbage collected, or closed and
+// drained, from the registry.
+function prune() {
+    registry = registry.filter(function (entry) {
+        var chan = deref(entry);
+        return chan && (!chan._closed || chan._queue.length > 0);
+    });
+}
+
+function blockedPutters(chan) {
+    var count = 0;
+    for (var i = 0, N = chan._queue.length; i < N; ++i) {
+        if (chan._queue.get(i)._callback) {
+            ++count;
+        }
+    }
+    return count;
+}
+
+// Gives an array with the current state of each registered channel
+// that is listed by default (see the top), or of every registered
+// channel if `options.all` is true. Channels that have been closed and drained are listed one last
+// time and dropped from the registry.
+function snapshot(options) {
+    var all = !!(options && options.all), result = [];
+    registry.forEach(function (entry) {
+        var chan = deref(entry);
+        if (!chan || !(all || chan._stats.listed)) {
+            return;
+        }
+        var stats = chan._stats;
+        result.push({
+            name: stats.name,
+            id: stats.id,
+            puts: stats.puts,
+            takes: stats.takes,
+            dropped: stats.dropped,
+            backlog: chan._queue.length - chan._pending.length,
+            highWater: stats.highWater,
+            blockedPutters: blockedPutters(chan),
+            blockedTakers: chan._pending.length,
+            queuedCount: stats.queuedCount,
+            queuedTime_ms: stats.queuedTime_ms,
+            maxQueuedTime_ms: stats.maxQueuedTime_ms,
+            closed: chan._closed
+        });
+    });
+    prune();
+    return result;
+}
+
+var promMetrics = [
+    ['puts_total', 'counter', 'Values put into the channel.', 'puts'],
+    ['takes_total', 'counter', 'Values taken from the channel.', 'takes'],
+    ['dropped_total', 'counter', 'Values dropped by the channel or its buffers and taps.', 'dropped'],
+    ['backlog', 'gauge', 'Values waiting in the channel, less the takers waiting on it.', 'backlog'],
+    ['backlog_high_water', 'gauge', 'The most values that have waited in the channel at once.', 'highWater'],
+    ['blocked_putters', 'gauge', 'Putters waiting for their values to be taken.', 'blockedPutters'],
+    ['blocked_takers', 'gauge', 'Takers waiting for values.', 'blockedTakers']
+];
+
+function promLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Gives the state of the registered channels in the Prometheus text
+// exposition format, with the channel names as the "channel" label.
+// `prefix` defaults to "cspjs_channel_". The channels reported are
+// picked as for `snapshot(options)`.
+function prometheus(prefix, options) {
+    prefix = prefix || 'cspjs_channel_';
+    var channels = snapshot(options), lines = [];
+    function labels(c) {
+        return '{channel="' + promLabel(c.name) + '"}';
+    }
+    promMetrics.forEach(function (m) {
+        lines.push('# HELP ' + prefix + m[0] + ' ' + m[2]);
+        lines.push('# TYPE ' + prefix + m[0] + ' ' + m[1]);
+        channels.forEach(function (c) {
+            lines.push(prefix + m[0] + labels(c) + ' ' + c[m[3]]);
+        });
+    });
+    lines.push('# HELP ' + prefix + 'queued_seconds Time values spent waiting in the channel.');
+    lines.push('# TYPE ' + prefix + 'queued_seconds summary');
+    channels.forEach(function (c) {
+        lines.push(prefix + 'queued_seconds_sum' + labels(c) + ' ' + (c.queuedTime_ms / 1000));
+        lines.push(prefix + 'queued_seconds_count' + labels(c) + ' ' + c.queuedCount);
+    });
+    return lines.join('\n') + '\n';
+}
+
+// A request handler for Node's http module that
+// serves the metrics for Prometheus to scrape.
+//
+//      http.createServer(Channel.metrics.handler).listen(9100);
+function handler(req, res) {
+    res.writeHead(200, {'Content-Type': 'text/plain; version=0.0.4'});
+    res.end(prometheus());
+}
+
+module.exports = {
+    enable: enable,
+    isEnabled: isEnabled,
+    ChannelStats: ChannelStats,
+    register: register,
+    snapshot: snapshot,
+    prometheus: prometheus,
+    handler: handler,
+    blockedPutters: blockedPutters
+};
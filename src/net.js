@@ -0,0 +1,314 @@
+
+// Extends the Channel class with support for using channels
+// across processes, over TCP or Unix domain sockets.
+//
+// `Channel.serve(ch, {port: 8000})` exposes a local channel on a port
+// (or on a socket path with `{path: ...}`), and in another process
+// `Channel.connect({host: 'localhost', port: 8000})` gives a proxy for
+// it. Values put into the proxy go into the served channel and takes
+// on the proxy take from it, as though it were the channel itself -
+//
+//      // server.js
+//      var jobs = new Channel();
+//      Channel.serve(jobs, {port: 8000});
+//
+//      // worker.js
+//      var jobs = Channel.connect({port: 8000});
+//      job <- chan jobs;
+//
+// A put into the proxy is acknowledged only once the served channel
+// accepts the value, and a value is taken from the served channel
+// only when there is a taker waiting for it on the proxy, so the
+// channel behaves much as it does locally. Closing the proxy closes
+// the served channel and ending the served channel ends the proxy
+// once its values have been taken.
+//
+// Messages go over the wire as length-prefixed frames (see framing.js),
+// encoded as JSON unless a `codec` option is given, which is an object
+// with `encode(message)` giving a Buffer or string and `decode(buffer)`
+// giving back the message. Both ends must use the same codec, and it
+// must be able to carry the values sent.
+
+var Channel = require('./channel');
+var framing = require('./framing');
+var net = require('net');
+
+var jsonCodec = framing.jsonCodec;
+var encodeFrame = framing.encodeFrame;
+
+Channel.jsonCodec = jsonCodec;
+
+// Calls `receive` with the messages in the frames that arrive on the
+// socket. A frame bigger than `maxFrame` bytes, or one that cannot be
+// decoded, destroys the socket with an error once the frames that came
+// before it have been received.
+function readFrames(socket, codec, maxFrame, receive) {
+    var buffered = Buffer.alloc(0);
+    socket.on('data', function (chunk) {
+        buffered = buffered.length > 0 ? Buffer.concat([buffered, chunk]) : chunk;
+        var frames = framing.decodeFrames(buffered, codec, maxFrame);
+        buffered = buffered.slice(frames.used);
+        frames.messages.forEach(receive);
+        if (frames.error) {
+            socket.destroy(frames.error);
+        }
+    });
+}
+
+function encodeError(err) {
+    return {
+        name: (err && err.name) || 'Error',
+        message: (err && err.message) || String(err),
+        code: err && err.code
+    };
+}
+
+function decodeError(e) {
+    if (e.name === 'ChannelClosedError') {
+        return new Channel.ChannelClosedError(e.message);
+    }
+    var err = new Error(e.message);
+    err.name = e.name;
+    if (e.code !== undefined && e.code !== null) {
+        err.code = e.code;
+    }
+    return err;
+}
+
+function connectOptions(options) {
+    return options.path ? {path: options.path} : {port: options.port, host: options.host};
+}
+
+// Serves the channel on a TCP port or a Unix socket path. Options -
+//
+//  port, host - Where to listen for TCP connections.
+//  path       - The Unix socket path to listen on, instead.
+//  codec      - The codec for messages. Defaults to JSON.
+//  maxFrame   - The largest frame accepted, in bytes. Defaults to 16MB.
+//
+// The callback, if given, is called once the server is listening.
+// Gives the `net.Server`, which can be closed to stop serving.
+Channel.serve = function (chan, options, callback) {
+    var codec = options.codec || jsonCodec;
+    var maxFrame = options.maxFrame || framing.MAX_FRAME;
+    var server = net.createServer(function (socket) {
+        serveConnection(chan, socket, codec, maxFrame);
+    });
+    server.listen(connectOptions(options), callback);
+    return server;
+};
+
+function serveConnection(chan, socket, codec, maxFrame) {
+    var ops = new Set();
+
+    function send(message) {
+        if (!socket.destroyed) {
+            socket.write(encodeFrame(codec, message));
+        }
+    }
+
+    function take(id) {
+        var op = chan.take(function (err, value) {
+            ops.delete(op);
+            if (err) {
+                send({op: chan.failedWith(err) ? 'fail' : 'error', id: id, error: encodeError(err)});
+            } else if (value === Channel.END) {
+                send({op: 'end', id: id});
+            } else {
+                send({op: 'value', id: id, value: value});
+            }
+        });
+        ops.add(op);
+    }
+
+    function put(id, value) {
+        var op = chan.put(value, function (err) {
+            ops.delete(op);
+            send(err ? {op: 'error', id: id, error: encodeError(err)} : {op: 'ack', id: id});
+        });
+        ops.add(op);
+    }
+
+    readFrames(socket, codec, maxFrame, function (message) {
+        switch (message.op) {
+            case 'take': return take(message.id);
+            case 'put': return put(message.id, message.value);
+            case 'close': return chan.close();
+        }
+    });
+
+    // The client will ask again for what it hasn't got answers to,
+    // so withdraw its takes and unacknowledged puts.
+    socket.on('close', function () {
+        ops.forEach(function (op) {
+            op.cancel();
+        });
+        ops.clear();
+    });
+
+    socket.on('error', function (err) {
+        // The socket closes after this.
+    });
+}
+
+// Connects to a channel served using `Channel.serve()` and gives a
+// proxy channel for it. Options -
+//
+//  port, host - The TCP address of the server. Host defaults to localhost.
+//  path       - The Unix socket path of the server, instead.
+//  codec      - The codec for messages. Defaults to JSON.
+//  maxFrame   - The largest frame accepted, in bytes. Defaults to 16MB.
+//  reconnect  - Whether to connect again when the connection breaks or
+//               cannot be made. Defaults to true. If false, the proxy
+//               fails with the connection's error instead.
+//  retry_ms   - How long to wait before connecting again. Doubles on each
+//               failed attempt, up to 30 seconds. Defaults to 100ms.
+//
+// Puts that have not been acknowledged when the connection breaks are
+// sent again on reconnecting, so a value may get into the served channel
+// twice. A value on its way to the proxy when the connection breaks is
+// lost. Use `proxy.disconnect()` to end the proxy without closing the
+// served channel. Puts on the proxy cannot be withdrawn and so cannot
+// be used in a select.
+Channel.connect = function (options) {
+    var codec = options.codec || jsonCodec;
+    var maxFrame = options.maxFrame || framing.MAX_FRAME;
+    var retry_ms = options.retry_ms || 100, delay = retry_ms;
+    var proxy = new Channel(), socket = null, connected = false, timer = null;
+    var stopped = false, detached = false, lastError = null;
+    var nextId = 1, takes = new Set(), puts = new Map();
+    var take = proxy.take;
+
+    function send(message) {
+        if (connected) {
+            socket.write(encodeFrame(codec, message));
+        }
+    }
+
+    // Asks the server for as many values as there are takers waiting.
+    function requestTakes() {
+        while (connected && !proxy._closed && proxy._pending.length > takes.size) {
+            var id = nextId++;
+            takes.add(id);
+            send({op: 'take', id: id});
+        }
+    }
+
+    proxy.take = function (callback) {
+        var op = take.call(this, callback);
+        requestTakes();
+        return op;
+    };
+
+    proxy.put = function (value, callback) {
+        if (this._closed) {
+            return Channel.prototype.put.call(this, value, callback);
+        }
+        var id = nextId++;
+        puts.set(id, {value: value, callback: callback});
+        send({op: 'put', id: id, value: value});
+        return new Channel.ChannelOp(null, null, this);
+    };
+
+    // Ends the proxy without closing the served channel.
+    proxy.disconnect = function () {
+        detached = true;
+        this.close();
+    };
+
+    function deliver(value) {
+        Channel.prototype.put.call(proxy, value);
+    }
+
+    function settlePut(id, err) {
+        var p = puts.get(id);
+        puts.delete(id);
+        if (p.callback) {
+            if (err) {
+                p.callback(err, null);
+            } else {
+                p.callback(null, p.value);
+            }
+        }
+    }
+
+    function receive(message) {
+        var id = message.id;
+        switch (message.op) {
+            case 'value':
+                takes.delete(id);
+                return deliver(message.value);
+            case 'ack':
+                if (puts.has(id)) {
+                    settlePut(id, null);
+                }
+                return;
+            case 'error':
+                if (puts.has(id)) {
+                    return settlePut(id, decodeError(message.error));
+                }
+                takes.delete(id);
+                return proxy.putError(decodeError(message.error));
+            case 'fail':
+                detached = true;
+                return proxy.fail(decodeError(message.error));
+            case 'end':
+                detached = true;
+                return proxy.close();
+        }
+    }
+
+    function connect() {
+        timer = null;
+        lastError = null;
+        socket = net.connect(connectOptions(options));
+        socket.on('connect', function () {
+            connected = true;
+            delay = retry_ms;
+            puts.forEach(function (p, id) {
+                send({op: 'put', id: id, value: p.value});
+            });
+            requestTakes();
+        });
+        readFrames(socket, codec, maxFrame, receive);
+        socket.on('error', function (err) {
+            lastError = err;
+        });
+        socket.on('close', function () {
+            connected = false;
+            socket = null;
+            takes.clear();
+            if (stopped) {
+                return;
+            }
+            if (options.reconnect === false) {
+                detached = true;
+                return proxy.fail(lastError || new Error('Connection closed'));
+            }
+            timer = setTimeout(connect, delay);
+            delay = Math.min(delay * 2, 30000);
+        });
+    }
+
+    proxy.onClose(function () {
+        if (!detached) {
+            send({op: 'close'});
+        }
+        stopped = true;
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        if (socket) {
+            socket.end();
+        }
+        puts.forEach(function (p, id) {
+            settlePut(id, new Channel.ChannelClosedError());
+        });
+    });
+
+    connect();
+    return proxy;
+};
+
+module.exports = Channel;
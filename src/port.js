@@ -0,0 +1,200 @@
+
+// Extends the Channel class with support for carrying channels
+// across threads over a MessagePort, such as those of Node.js's
+// worker_threads module or the browser's MessageChannel.
+//
+// One side feeds a local channel into a port using `ch.toPort(port)`
+// and the other side gets a channel out of the other end of the port
+// using `Channel.fromPort(port)`. Values cross over only when there
+// is a taker waiting for them on the receiving side, so a put into
+// the sending channel is acknowledged once a remote taker has asked
+// for the value, much like with a local channel. Values are copied
+// using the structured clone algorithm.
+//
+//      // main.js
+//      var mc = new MessageChannel();
+//      var worker = new Worker('./worker.js', {workerData: {port: mc.port2}, transferList: [mc.port2]});
+//      var results = Channel.fromPort(mc.port1);
+//      ...
+//      x <- chan results;
+//
+//      // worker.js
+//      var results = new Channel();
+//      results.toPort(workerData.port);
+//      ...
+//      await results.put(crunch(data));
+//
+// Several channels can share a port if each pair is given its own
+// `name` option.
+
+var Channel = require('./channel');
+
+// Calls `fn` with the messages that arrive on the port
+// and gives a function that stops listening.
+function listen(port, fn) {
+    if (port.on) {
+        port.on('message', fn);
+        return function () {
+            port.removeListener('message', fn);
+        };
+    }
+    var listener = function (event) {
+        fn(event.data);
+    };
+    port.addEventListener('message', listener);
+    if (port.start) {
+        port.start();
+    }
+    return function () {
+        port.removeEventListener('message', listener);
+    };
+}
+
+// The buffers to transfer instead of copy, for the `transfer` option.
+function transferList(value, transfer) {
+    if (typeof transfer === 'function') {
+        return transfer(value) || [];
+    }
+    if (transfer && value instanceof ArrayBuffer) {
+        return [value];
+    }
+    if (transfer && ArrayBuffer.isView(value) && value.byteOffset === 0 &&
+        value.byteLength === value.buffer.byteLength) {
+        return [value.buffer];
+    }
+    return [];
+}
+
+// Sends the values of this channel over the port to the channel made
+// by `Channel.fromPort()` on its other end. Values are taken from this
+// channel only as takers on the other side ask for them. When this
+// channel ends, so does the remote one, and errors taken from this
+// channel are passed on. Options -
+//
+//  name     - Tells apart channels that share the port. Defaults to 'channel'.
+//  transfer - If true, ArrayBuffers and typed arrays that span a whole
+//             ArrayBuffer are transferred instead of copied, which leaves
+//             them unusable on this side. Can also be a function that
+//             gives the list of objects to transfer along with a value.
+//
+// Gives this channel.
+Channel.prototype.toPort = function (port, options) {
+    options = options || {};
+    var self = this, name = options.name || 'channel';
+    var ops = new Set(), stopped = false;
+
+    function send(type, value) {
+        port.postMessage({cspjs: type, channel: name, value: value}, transferList(value, type === 'value' && options.transfer));
+    }
+
+    function stop() {
+        stopped = true;
+        unlisten();
+        ops.forEach(function (op) {
+            op.cancel();
+        });
+        ops.clear();
+    }
+
+    function pull() {
+        var op = self.take(function (err, value) {
+            ops.delete(op);
+            if (stopped) {
+                return;
+            }
+            if (err) {
+                if (self.failedWith(err)) {
+                    send('fail', err);
+                    return stop();
+                }
+                return send('error', err);
+            }
+            if (value === Channel.END) {
+                send('end');
+                return stop();
+            }
+            try {
+                send('value', value);
+            } catch (e) {
+                // The value could not be cloned. The remote taker gets the error.
+                send('error', e);
+            }
+        });
+        ops.add(op);
+    }
+
+    var unlisten = listen(port, function (msg) {
+        if (!msg || msg.channel !== name || stopped) {
+            return;
+        }
+        if (msg.cspjs === 'pull') {
+            pull();
+        } else if (msg.cspjs === 'close') {
+            stop();
+        }
+    });
+
+    return this;
+};
+
+// Makes a channel that gives the values sent over the port by
+// `ch.toPort()` on its other end. Each take on the channel that has
+// to wait asks the other side for a value. The channel ends when the
+// remote one does and errors sent from there are put into it, or fail
+// it if the remote channel failed. Closing this channel tells the
+// other side to stop sending. Takes the `name` option of `toPort()`.
+Channel.fromPort = function (port, options) {
+    options = options || {};
+    var chan = new Channel(), name = options.name || 'channel';
+    var requested = 0, ended = false;
+    var take = chan.take;
+
+    function send(type) {
+        port.postMessage({cspjs: type, channel: name});
+    }
+
+    chan.take = function (callback) {
+        var op = take.call(this, callback);
+        if (!ended && this._pending.length > requested) {
+            requested++;
+            send('pull');
+        }
+        return op;
+    };
+
+    var unlisten = listen(port, function (msg) {
+        if (!msg || msg.channel !== name || ended) {
+            return;
+        }
+        switch (msg.cspjs) {
+            case 'value':
+                requested--;
+                chan.put(msg.value);
+                break;
+            case 'error':
+                requested--;
+                chan.putError(msg.value);
+                break;
+            case 'fail':
+                ended = true;
+                chan.fail(msg.value);
+                break;
+            case 'end':
+                ended = true;
+                chan.close();
+                break;
+        }
+    });
+
+    chan.onClose(function () {
+        if (!ended) {
+            ended = true;
+            send('close');
+        }
+        unlisten();
+    });
+
+    return chan;
+};
+
+module.exports = Channel;
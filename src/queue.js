@@ -0,0 +1,216 @@
+// # Queue
+//
+// A growable ring buffer used to hold the values and the pending
+// operations of channels. Unlike an array used with `push()` and
+// `shift()`, both ends of the queue are amortised O(1) no matter
+// how deep the queue gets.
+//
+// The capacity is always a power of two so that positions can be
+// wrapped around using a bit mask. The number of elements is kept
+// in the `length` field, so code that only looks at the length can
+// treat a queue like an array.
+
+function Queue(capacity) {
+    var size = 8;
+    while (size < (capacity || 0)) {
+        size *= 2;
+    }
+    this._buffer = new Array(size);
+    this._head = 0;
+    this.length = 0;
+    return this;
+}
+
+function grow(queue) {
+    var buffer = queue._buffer, N = buffer.length;
+    var newBuffer = new Array(N * 2);
+    for (var i = 0; i < queue.length; ++i) {
+        newBuffer[i] = buffer[(queue._head + i) & (N - 1)];
+    }
+    queue._buffer = newBuffer;
+    queue._head = 0;
+}
+
+// Adds a value to the tail end of the queue.
+Queue.prototype.push = function (value) {
+    if (this.length === this._buffer.length) {
+        grow(this);
+    }
+    this._buffer[(this._head + this.length) & (this._buffer.length - 1)] = value;
+    this.length++;
+};
+
+// Removes and returns the value at the head end of the queue.
+// Gives `undefined` if the queue is empty.
+Queue.prototype.shift = function () {
+    if (this.length === 0) {
+        return undefined;
+    }
+    var value = this._buffer[this._head];
+    this._buffer[this._head] = undefined;
+    this._head = (this._head + 1) & (this._buffer.length - 1);
+    this.length--;
+    return value;
+};
+
+// Gives the i-th value from the head end without removing it.
+Queue.prototype.get = function (i) {
+    if (i < 0 || i >= this.length) {
+        return undefined;
+    }
+    return this._buffer[(this._head + i) & (this._buffer.length - 1)];
+};
+
+Queue.prototype.indexOf = function (value) {
+    for (var i = 0; i < this.length; ++i) {
+        if (this._buffer[(this._head + i) & (this._buffer.length - 1)] === value) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+// Removes the given value from wherever it is in the queue.
+// This is O(n), but is only needed for withdrawing operations,
+// which is rare compared to taking and putting values. Answers
+// whether the value was found.
+Queue.prototype.remove = function (value) {
+    var pos = this.indexOf(value);
+    if (pos < 0) {
+        return false;
+    }
+    this.removeIf(function (v, i) { return i === pos; });
+    return true;
+};
+
+// Removes all the values for which `pred(value, index)` is true,
+// keeping the order of the rest.
+Queue.prototype.removeIf = function (pred) {
+    var buffer = this._buffer, mask = buffer.length - 1;
+    var N = this.length, kept = 0, i, value;
+    for (i = 0; i < N; ++i) {
+        value = buffer[(this._head + i) & mask];
+        if (!pred(value, i)) {
+            buffer[(this._head + kept) & mask] = value;
+            kept++;
+        }
+    }
+    for (i = kept; i < N; ++i) {
+        buffer[(this._head + i) & mask] = undefined;
+    }
+    this.length = kept;
+};
+
+// # PriorityQueue
+//
+// A queue of entries ordered by their `_priority` field, higher
+// priorities first and first-in-first-out among equal priorities.
+// It has the same interface as Queue so that it can stand in for
+// the queue of a channel. Entries of each priority level are kept
+// in a Queue of their own, so that pushing and shifting costs
+// O(log L) and O(1) for L distinct priorities in the queue.
+
+function PriorityQueue() {
+    this._levels = [];          // Priorities in the queue, highest first.
+    this._queues = new Map();   // Priority -> Queue of entries.
+    this.length = 0;
+    return this;
+}
+
+function priorityOf(entry) {
+    return (entry && +entry._priority) || 0;
+}
+
+PriorityQueue.prototype.push = function (entry) {
+    var priority = priorityOf(entry);
+    var queue = this._queues.get(priority);
+    if (!queue) {
+        queue = new Queue();
+        this._queues.set(priority, queue);
+        var lo = 0, hi = this._levels.length, mid;
+        while (lo < hi) {
+            mid = (lo + hi) >> 1;
+            if (this._levels[mid] > priority) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        this._levels.splice(lo, 0, priority);
+    }
+    queue.push(entry);
+    this.length++;
+};
+
+PriorityQueue.prototype.shift = function () {
+    if (this.length === 0) {
+        return undefined;
+    }
+    var queue = this._queues.get(this._levels[0]);
+    var entry = queue.shift();
+    this.length--;
+    if (queue.length === 0) {
+        this._queues.delete(this._levels.shift());
+    }
+    return entry;
+};
+
+PriorityQueue.prototype.get = function (i) {
+    if (i < 0 || i >= this.length) {
+        return undefined;
+    }
+    for (var l = 0, queue; l < this._levels.length; ++l) {
+        queue = this._queues.get(this._levels[l]);
+        if (i < queue.length) {
+            return queue.get(i);
+        }
+        i -= queue.length;
+    }
+    return undefined;
+};
+
+PriorityQueue.prototype.indexOf = function (entry) {
+    var queue = this._queues.get(priorityOf(entry));
+    var pos = queue ? queue.indexOf(entry) : -1;
+    if (pos < 0) {
+        return -1;
+    }
+    for (var l = 0; this._levels[l] !== priorityOf(entry); ++l) {
+        pos += this._queues.get(this._levels[l]).length;
+    }
+    return pos;
+};
+
+PriorityQueue.prototype.remove = function (entry) {
+    var priority = priorityOf(entry);
+    var queue = this._queues.get(priority);
+    if (!queue || !queue.remove(entry)) {
+        return false;
+    }
+    this.length--;
+    if (queue.length === 0) {
+        this._queues.delete(priority);
+        this._levels.splice(this._levels.indexOf(priority), 1);
+    }
+    return true;
+};
+
+PriorityQueue.prototype.removeIf = function (pred) {
+    var levels = this._levels.slice(), offset = 0;
+    for (var l = 0; l < levels.length; ++l) {
+        var queue = this._queues.get(levels[l]), N = queue.length;
+        queue.removeIf(function (entry, i) {
+            return pred(entry, offset + i);
+        });
+        offset += N;
+        this.length -= N - queue.length;
+        if (queue.length === 0) {
+            this._queues.delete(levels[l]);
+            this._levels.splice(this._levels.indexOf(levels[l]), 1);
+        }
+    }
+};
+
+Queue.PriorityQueue = PriorityQueue;
+
+module.exports = Queue;
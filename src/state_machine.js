@@ -19,6 +19,8 @@ function State() {
     this.isUnwinding = false;
     this.currentErrorStep = null;
     this.abort_with_error = null;
+    this.pendingOp = null; // The channel operation being waited on, if any.
+    this.waitStep = 0; // The step that last started waiting.
     return this;
 }
 
@@ -27,8 +29,17 @@ function controlAPIMaker() {
     return Object.create({}, {
         abort: {
             value: function (err) {
-                if (state_machine.state.waiting > 0) {
-                    state_machine.state.abort_with_error = err;
+                var state = state_machine.state;
+                if (state.waiting > 0) {
+                    if (err && state.pendingOp && state.pendingOp.cancel()) {
+                        // The channel operation being waited on has been
+                        // withdrawn, so its callback will never come. Abort now.
+                        state.pendingOp = null;
+                        state.waiting--;
+                        state_machine.fn.call(state_machine.context, err);
+                    } else {
+                        state.abort_with_error = err;
+                    }
                 } else {
                     state_machine.callback(err);
                 }
@@ -61,6 +72,17 @@ function StateMachine(context, callback, fn, task_fn) {
     this.captureStateVars = null; // Might be initialized to function () { return array; }
     this.restoreStateVars = null; // Might be initialized to function (array) { assign state variables; }
 
+    // A task called without a callback returns a promise
+    // that settles with the task's result instead.
+    this.promise = null;
+    if (typeof callback !== 'function' && typeof Promise === 'function') {
+        this.promise = makeTaskPromise(this);
+    }
+
+    // The ChannelValue of the operation done by the
+    // last `select` statement.
+    this.selected = null;
+
     this.boundStep = this.step.bind(this);
     this.boundUnwind = this.unwind.bind(this);
     this.controlAPIMaker = controlAPIMaker.bind(this);
@@ -68,13 +90,58 @@ function StateMachine(context, callback, fn, task_fn) {
     // Initialize the jump table structure if not done already.
     this.task_fn.cachedJumpTable = this.task_fn.cachedJumpTable || {};
 
+    if (Channel.debug.enabled) {
+        Channel.debug.trackTask(this);
+    }
+
     return this;
 }
 
+// The promise gets a no-op catch handler so that a task that fails
+// with nobody waiting on its promise doesn't raise an unhandled
+// rejection, which takes the process down in newer versions of Node.
+// Such errors can still be seen through `StateMachine.onerror`.
+function makeTaskPromise(state_machine) {
+    var promise = new Promise(function (resolve, reject) {
+        state_machine.finalCallback = function (err, result) {
+            if (err) {
+                reject(err);
+            } else if (arguments.length > 2) {
+                // Multiple return values resolve to an array.
+                resolve(Array.prototype.slice.call(arguments, 1));
+            } else {
+                resolve(promiseValue(result));
+            }
+        };
+    });
+    promise.catch(function () {});
+    return promise;
+}
+
+// Channels are thenables, so resolving a promise with a channel would
+// take a value from the channel and resolve with that instead. A task
+// that returns a channel resolves with a view of the channel that isn't
+// a thenable. It is the same channel in every other respect.
+function promiseValue(result) {
+    if (result instanceof Channel) {
+        var chan = Object.create(result);
+        chan.then = undefined;
+        return chan;
+    }
+    return result;
+}
+
 StateMachine.prototype.start = function () {
     this.goTo(1);
 };
 
+// What a compiled task returns to its caller - the
+// promise if it was called without a callback and
+// the control API maker otherwise.
+StateMachine.prototype.result = function () {
+    return this.promise || this.controlAPIMaker;
+};
+
 StateMachine.prototype.step = function () {
     this.state.waiting--;
     if (this.state.abort_with_error) {
@@ -103,34 +170,39 @@ StateMachine.prototype.thenTo = function (id) {
     var done = false;
     var self = this;
     this.state.waiting++;
-    return function () {
+    this.state.waitStep = id - 1;
+    var continuation = function () {
         var _self = self;
         var _state = _self.state;
-        _state.waiting--;
         if (!done) {
             done = true;
+            _state.waiting--;
+            _state.pendingOp = null;
             _state.id = id;
             if (_state.abort_with_error) {
                 _self.performAbort();
             } else {
                 _self.fn.apply(_self.context, arguments); 
             }
-        } else {
+        } else if (!continuation.mayRepeat) {
             console.error('Callback called repeatedly!');
         }
     };
+    return continuation;
 };
 
 StateMachine.prototype.thenToWithErr = function (id) {
     var done = false;
     var self = this;
     this.state.waiting++;
-    return function (err, result) {
+    this.state.waitStep = id - 1;
+    var continuation = function (err, result) {
         var _self = self;
         var _state = _self.state;
-        _state.waiting--;
         if (!done) {
             done = true;
+            _state.waiting--;
+            _state.pendingOp = null;
             _state.id = id;
             if (_state.abort_with_error) {
                 _self.performAbort();
@@ -142,10 +214,58 @@ StateMachine.prototype.thenToWithErr = function (id) {
                 argv.unshift(null); // Push the err argument to the explicit range.
                 _self.fn.apply(_self.context, argv); 
             }
-        } else {
+        } else if (!continuation.mayRepeat) {
             console.error('Callback called repeatedly!');
         }
     };
+    return continuation;
+};
+
+// Async steps using `<-`, `<<-` and `await` pass a callback as the
+// last argument of the call, but the called function may instead
+// return a native `Promise`. In that case, the step continues when the
+// promise settles. Other thenables aren't waited on, since calling
+// `then` on some of them (query builders and request objects) runs
+// them again, and a channel returned by a call (ex: `await
+// ch.debounce(10).put(x);`) would have a value stolen from it. Wrap
+// such a thenable using `Promise.resolve(...)` to wait on it.
+//
+// Some functions both call back and return a promise. Only the first
+// of the two continues the step and the other is ignored, since the
+// step may have moved on to waiting for something else by then.
+//
+// Channel operations return a handle which is remembered so that the
+// operation can be withdrawn if the task is aborted or unwinds while
+// waiting on it. Otherwise, the operation would linger in the channel
+// and swallow a value that nobody will receive.
+StateMachine.prototype.awaitResult = function (result, callback) {
+    if (result instanceof Channel.ChannelOp) {
+        this.state.pendingOp = result;
+    } else if (typeof Promise === 'function' && result instanceof Promise) {
+        callback.mayRepeat = true;
+        result.then(function (value) {
+            callback(null, value);
+        }, function (err) {
+            callback(err || new Error('Promise rejected with "' + err + '"'));
+        });
+    }
+};
+
+// Used with steps that take from channels.
+StateMachine.prototype.awaitOp = function (op) {
+    if (op instanceof Channel.ChannelOp) {
+        this.state.pendingOp = op;
+    }
+};
+
+StateMachine.prototype.cancelPendingOp = function () {
+    var op = this.state.pendingOp;
+    if (op) {
+        this.state.pendingOp = null;
+        if (op.cancel()) {
+            this.state.waiting--;
+        }
+    }
 };
 
 // StateMachine supports a single global error notification point.
@@ -175,6 +295,7 @@ StateMachine.prototype.thenToWithErr = function (id) {
 // error propagation time and almost no cost is added to normal
 // control flow.
 StateMachine.prototype.callback = function (err) {
+    this.cancelPendingOp();
     this.state.args = Array.prototype.slice.call(arguments);
     this.state.err = err;
     this.state.strict_unwind = true;
@@ -227,6 +348,9 @@ StateMachine.prototype.unwind = function () {
     } else if (!this.state.isFinished) {
         this.state.waiting = 0;
         this.state.isFinished = true;
+        if (Channel.debug.enabled) {
+            Channel.debug.untrackTask(this);
+        }
         this.finalCallback && this.finalCallback.apply(this.context, this.state.args);
     }
 };
@@ -352,5 +476,7 @@ StateMachine.prototype.channel = function () {
 };
 
 StateMachine.prototype.resolve = Channel.resolve;
+StateMachine.prototype.select = Channel.select;
+StateMachine.prototype.timeout = Channel.timeout;
 
 module.exports = StateMachine;
@@ -5,48 +5,197 @@
 var Channel = require('./channel');
 var stream = require('stream');
 
+// Options for the stream adapters. Channels carry arbitrary values,
+// so the streams are in object mode unless `objectMode: false` is
+// given, in which case they carry bytes (Buffers and strings) and
+// `highWaterMark` counts bytes instead of values.
+function streamOptions(options) {
+    options = options || {};
+    var opts = {objectMode: options.objectMode !== false};
+    if (options.highWaterMark !== undefined) {
+        opts.highWaterMark = options.highWaterMark;
+    }
+    if (options.encoding) {
+        opts.encoding = options.encoding;
+    }
+    return opts;
+}
+
+// Makes a writable stream that puts the chunks written to it into
+// the channel. A write is done only once the channel accepts the
+// chunk, so a channel with nobody taking from it holds up the writer,
+// as much as `highWaterMark` allows. Calling `end()` on the stream
+// closes the channel, unless `options.end` is false. Writing to a
+// channel that has been closed errors the stream, and destroying the
+// stream with an error fails the channel with it.
+//
 // Non-deterministic behaviour if you create multiple
 // writable streams on a single channel.
-Channel.prototype.asWritableStream = function () {
-    var writable = new stream.Writable();
+Channel.prototype.asWritableStream = function (options) {
     var chan = this;
-    writable._write = function (chunk, encoding, done) {
-        chan.put(chunk, done);
+    var closeOnEnd = !(options && options.end === false);
+    var writable = new stream.Writable(streamOptions(options));
+
+    writeInto(writable, chan, closeOnEnd);
+
+    writable._destroy = function (err, done) {
+        if (err && closeOnEnd) {
+            chan.fail(err);
+        }
+        done(err);
     };
+
     return writable;
 };
 
+// Sets up the writable side of a stream to put its chunks into the channel.
+function writeInto(writable, chan, closeOnEnd) {
+    writable._write = function (chunk, encoding, done) {
+        chan.put(chunk, function (err) {
+            done(err);
+        });
+    };
+
+    writable._final = function (done) {
+        if (closeOnEnd) {
+            chan.close();
+        }
+        done();
+    };
+}
+
+// Makes a readable stream that gives the values taken from the
+// channel. Values are taken only while the stream wants more of
+// them, i.e. until its buffer reaches `highWaterMark`, so a slow
+// reader holds up whoever is putting into the channel. The stream
+// ends when the channel ends, and an error taken from the channel
+// destroys the stream with that error. Since `null` ends a stream,
+// it cannot be sent through one as a value.
+//
 // Non-deterministic behaviour if you make multiple readable streams
 // on the same channel. If you want to fan out a channel to multiple
 // readable streams, then use Channel.prototype.tap() to tap a channel
 // without disrupting its dataflow.
-Channel.prototype.asReadableStream = function () {
-    var readable = new stream.Readable();
+Channel.prototype.asReadableStream = function (options) {
+    var readable = new stream.Readable(streamOptions(options));
+    var stop = readFrom(readable, this);
 
-    var chan = this;
+    readable._destroy = function (err, done) {
+        stop();
+        done(err);
+    };
+
+    return readable;
+};
+
+// Sets up the readable side of a stream to push the values taken from
+// the channel. Gives a function that stops taking from the channel.
+function readFrom(readable, chan) {
+    var op = null;
 
     readable._read = function () {
-        chan.take(receiver);
+        if (!op) {
+            op = chan.take(receiver);
+        }
     };
 
     function receiver(err, value) {
-        readable.push(value);
+        op = null;
+        if (err) {
+            readable.destroy(err);
+        } else if (value === Channel.END) {
+            readable.push(null);
+        } else if (readable.push(value)) {
+            readable._read();
+        }
     }
 
-    return readable;
+    return function () {
+        if (op) {
+            op.cancel();
+            op = null;
+        }
+    };
+}
+
+// Makes a duplex stream out of a task of the form `task (input, output) {...}`
+// that takes values from the `input` channel and puts its results into
+// the `output` channel. The chunks written to the stream go into `input`,
+// which is closed when the stream's writable side ends, and the readable
+// side of the stream gives the values put into `output`. The readable
+// side ends when the task finishes, which is the place to flush whatever
+// the task holds back, and an error thrown by the task destroys the
+// stream with it. Backpressure goes all the way through: a slow reader
+// holds up the task's puts, which holds up its takes and so the writer.
+//
+//      var upcase = task (input, output) {
+//          x <- chan input;
+//          while (x !== Channel.END) {
+//              await output.put(x.toString().toUpperCase());
+//              x <- chan input;
+//          }
+//      };
+//      stream.pipeline(process.stdin, Channel.transformStream(upcase), process.stdout, done);
+//
+// Options are as for the other stream adapters, with `readableObjectMode`
+// and `writableObjectMode` to set the modes of the two sides separately.
+// If the stream is destroyed with an error, the input channel fails with
+// it so that the task gets to know.
+Channel.transformStream = function (taskFn, options) {
+    options = options || {};
+    var input = new Channel(), output = new Channel();
+    var opts = streamOptions(options);
+    opts.readableObjectMode = ('readableObjectMode' in options) ? options.readableObjectMode : opts.objectMode;
+    opts.writableObjectMode = ('writableObjectMode' in options) ? options.writableObjectMode : opts.objectMode;
+    delete opts.objectMode;
+    var duplex = new stream.Duplex(opts);
+    var stop = readFrom(duplex, output);
+
+    writeInto(duplex, input, true);
+
+    duplex._destroy = function (err, done) {
+        stop();
+        if (err) {
+            input.fail(err);
+        }
+        output.close();
+        done(err);
+    };
+
+    taskFn(input, output, function (err) {
+        if (err) {
+            duplex.destroy(err);
+        } else {
+            output.close();
+        }
+    });
+
+    return duplex;
 };
 
-// Simple piping function for continuously reading from
-// a readable stream.
-Channel.prototype.read = function (readable) {
-    readable.pipe(this.asWritableStream());
+// Simple piping function for continuously reading from a readable
+// stream. The channel is closed when the stream ends and fails with
+// the stream's error if it has one. Takes the same options as
+// asWritableStream.
+Channel.prototype.read = function (readable, options) {
+    stream.pipeline(readable, this.asWritableStream(options), function (err) {});
     return this;
 };
 
-// Simple piping function for continuously writing to
-// a writable stream.
-Channel.prototype.write = function (writable) {
-    this.asReadableStream().pipe(writable);
+// Simple piping function for continuously writing to a writable
+// stream. Takes the same options as asReadableStream. The optional
+// callback is called once the writable stream is finished, or with
+// the error that stopped the piping.
+Channel.prototype.write = function (writable, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+    stream.pipeline(this.asReadableStream(options), writable, function (err) {
+        if (callback) {
+            callback(err || null);
+        }
+    });
     return this;
 };
 
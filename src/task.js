@@ -12,6 +12,9 @@
 //         ... state machine code ...
 //     }
 //
+// If such a function is called without the callback, it returns
+// a native Promise for its result.
+//
 // The macro supports the following four forms to provide easy expression of
 // pure no-argument scripts and named tasks.
 
@@ -96,8 +99,9 @@ macro task {
 // 6. `finally { ... }`
 // 7. `finally func(args ...);`
 // 8. `switch (val) { case v1: { } case v2,v3,v4: { } case v5: { } ... }`
-// 9. `throw expr;`
-// 10. `return expr1 , expr2 , ... ;`
+// 9. `select { case x <- chan ch1: { } case <- chan ch2.put(v): { } case timeout 100: { } default: { } }`
+// 10. `throw expr;`
+// 11. `return expr1 , expr2 , ... ;`
 // 
 // There is no separate `try` statement supported since in my experience
 // code that requires a local try-catch within a function almost always
@@ -143,7 +147,8 @@ macro task {
 //    additional `callback` argument to the method (or function) invocation,
 //    collect the results passed to the callback of the form 
 //    `function (err, x, y, z) { ... }` and assign them to the state variables
-//    `x`, `y` and `z`.
+//    `x`, `y` and `z`. If the call returns a native `Promise` instead, the
+//    step waits for it to settle and `x` is bound to the resolved value.
 //
 // 3. `<- blah[42].bling().asyncMethod(arg1, arg2);` will insert a callback
 //    function of the form `function (err) { ... }` - i.e. no result value
@@ -207,7 +212,7 @@ macro setup_state_machine {
             }
         }
         state_machine.start();
-        return state_machine.controlAPIMaker;
+        return state_machine.result();
     }
 }
 
@@ -248,6 +253,13 @@ macro declare_state_variables {
     rule { $task $state_machine $fin $vars { switch ($x ...) { $(case $ix:lit (,) ... : { $body ... }) ... } $rest ... } } => {
         declare_state_variables $task $state_machine $fin $vars { $($body ...) ... $rest ... }
     }
+    // The `x <- chan ch` heads of select cases declare `x`.
+    rule { $task $state_machine $fin $vars { select { $(case $head ... : { $body ... }) ... default : { $dbody ... } } $rest ... } } => {
+        declare_state_variables $task $state_machine $fin $vars { $($head ... ; $body ...) ... $dbody ... $rest ... }
+    }
+    rule { $task $state_machine $fin $vars { select { $(case $head ... : { $body ... }) ... } $rest ... } } => {
+        declare_state_variables $task $state_machine $fin $vars { $($head ... ; $body ...) ... $rest ... }
+    }
     rule { $task $state_machine $fin $vars { $step ... ; $rest ... } } => {
         declare_state_variables_step $task $state_machine $fin $vars { $step ... ; } { $rest ... }
     }
@@ -359,6 +371,9 @@ macro step_state {
     rule { $task $state_machine $id { switch ($x:expr) { $b ... } $rest ... } } => {
         step_state_line_switch $task $state_machine $id { switch ($x) { $b ... } } { $rest ... }
     }
+    rule { $task $state_machine $id { select { $b ... } $rest ... } } => {
+        step_state_line_select $task $state_machine $id { select { $b ... } } { $rest ... }
+    }
     rule { $task $state_machine $id { $step ... ; $rest ... } } => {
         step_state_line $task $state_machine $id { $step ... ; } { $rest ... }
     }
@@ -406,6 +421,12 @@ macro count_states {
     rule { $task ($n ...)  { switch ($x ...) { $(case $ix:lit (,) ... : { $body ... }) ... } $rest ... } } => {
         count_states $task (1 $n ...) { $($body ... phi $state_machine ;) ... $rest ... }
     }
+    rule { $task ($n ...)  { select { $(case $head ... : { $body ... }) ... default : { $dbody ... } } $rest ... } } => {
+        count_states $task (2 $n ...) { $(select_bind ; $body ... phi ;) ... select_bind ; $dbody ... phi ; $rest ... }
+    }
+    rule { $task ($n ...)  { select { $(case $head ... : { $body ... }) ... } $rest ... } } => {
+        count_states $task (2 $n ...) { $(select_bind ; $body ... phi ;) ... $rest ... }
+    }
     rule { $task $n { $step ... ; $rest ... } } => {
         count_states_line $task $n { $step ... ; } { $rest ... }
     }
@@ -544,6 +565,98 @@ macro step_state_line_switch {
     }
 }
 
+// ### Waiting on several channels
+//
+// `select { case ... : { ... } ... }` waits on several channel operations
+// and runs the block of the one that completes first, using `Channel.select`.
+// Only that operation is performed - the others are withdrawn from their
+// channels. The supported cases are -
+//
+//      select {
+//          case x <- chan ch1: { ... x is the value taken from ch1 ... }
+//          case <- chan ch2: { ... a value was taken from ch2 and dropped ... }
+//          case <- chan ch3.put(v): { ... v was put into ch3 ... }
+//          case timeout 500: { ... 500ms passed without the others completing ... }
+//          default: { ... none of the above were ready right away ... }
+//      }
+//
+// The `default` case, if present, must be the last one. Having it makes
+// the select not wait at all. When several operations are ready, one of
+// them is picked at random. A put into a closed channel raises its error
+// from the case that performed it.
+//
+// Like with `switch`, the blocks are selected using a jump table. The
+// operation that completes is stashed in `state_machine.selected`, from
+// which the first step of the chosen block binds the case's variable.
+
+macro step_state_line_select {
+    case { $me $task $state_machine $id { select { $(case $head ... : { $body ... }) ... default : { $dbody ... } } } { $rest ... } } => {
+        var id = unwrapSyntax(#{$id});
+        var n = #{$({ $body ... }) ...}.length;
+        var ixs = [];
+        for (var i = 0; i < n; ++i) { ixs.push(makeValue(i, #{$id})); }
+        letstx $id2 = [makeValue(id + 1, #{$id})], $id3 = [makeValue(id + 2, #{$id})], $ix ... = ixs;
+        return #{
+            $state_machine.awaitOp($state_machine.select([$(select_op $state_machine { $head ... }) (,) ...], {'default': undefined}, $state_machine.thenTo($id2)));
+            break;
+            case $id2:
+            var tmp1;
+            $state_machine.selected = arguments[1];
+            if (!(tmp1 = $state_machine.jumpTable($id2))) {
+                tmp1 = $state_machine.jumpTable($id2, [$([$ix]) (,) ... , [-1]], [$((count_states $task (0) { select_bind ; $body ... })) (,) ... , (count_states $task (0) { select_bind ; $dbody ... })]);
+            }
+            tmp1.jumpToCase($state_machine, $state_machine.selected.ix);
+            break;
+            case $id3:
+            step_state $task $state_machine $id3 {
+                $(select_bind $state_machine { $head ... } ; $body ... phi $state_machine ;) ...
+                select_bind $state_machine { default } ; $dbody ... phi $state_machine ;
+                $rest ...
+            }
+        };
+    }
+
+    case { $me $task $state_machine $id { select { $(case $head ... : { $body ... }) ... } } { $rest ... } } => {
+        var id = unwrapSyntax(#{$id});
+        var n = #{$({ $body ... }) ...}.length;
+        var ixs = [];
+        for (var i = 0; i < n; ++i) { ixs.push(makeValue(i, #{$id})); }
+        letstx $id2 = [makeValue(id + 1, #{$id})], $id3 = [makeValue(id + 2, #{$id})], $ix ... = ixs;
+        return #{
+            $state_machine.awaitOp($state_machine.select([$(select_op $state_machine { $head ... }) (,) ...], null, $state_machine.thenTo($id2)));
+            break;
+            case $id2:
+            var tmp1;
+            $state_machine.selected = arguments[1];
+            if (!(tmp1 = $state_machine.jumpTable($id2))) {
+                tmp1 = $state_machine.jumpTable($id2, [$([$ix]) (,) ...], [$((count_states $task (0) { select_bind ; $body ... })) (,) ...]);
+            }
+            tmp1.jumpToCase($state_machine, $state_machine.selected.ix);
+            break;
+            case $id3:
+            step_state $task $state_machine $id3 {
+                $(select_bind $state_machine { $head ... } ; $body ... phi $state_machine ;) ...
+                $rest ...
+            }
+        };
+    }
+}
+
+// Compiles the head of a select case into an operation for `Channel.select`.
+macro select_op {
+    rule { $state_machine { $x:ident <- chan $ch ... } } => { $ch ... }
+    rule { $state_machine { <- chan $ch ... . put ($v:expr) } } => { [$ch ..., $v] }
+    rule { $state_machine { <- chan $ch ... } } => { $ch ... }
+    rule { $state_machine { timeout $ms:expr } } => { $state_machine.timeout($ms) }
+}
+
+// Binds the variable of a select case, raising any error
+// that occurred with the operation.
+macro select_bind {
+    rule { $state_machine { $x:ident <- chan $ch ... } } => { $x = $state_machine.selected.resolve() }
+    rule { $state_machine { $head ... } } => { $state_machine.selected.resolve() }
+}
+
 // ### Looping using `while`
 //
 // The usual `while (cond) { body... }` is supported as well, except that there is no
@@ -693,7 +806,8 @@ macro step_state_line {
         var id = unwrapSyntax(#{$id});
         letstx $id2 = [makeValue(id + 1, #{$id})];
         return #{
-            $y ... ($state_machine.thenTo($id2));
+            var tmp1 = $state_machine.thenTo($id2);
+            $state_machine.awaitResult($y ... (tmp1), tmp1);
             break;
             case $id2:
             step_state $task $state_machine $id2 { $rest ... }
@@ -704,7 +818,8 @@ macro step_state_line {
         var id = unwrapSyntax(#{$id});
         letstx $id2 = [makeValue(id + 1, #{$id})];
         return #{
-            $y ... ($args (,) ... , $state_machine.thenTo($id2));
+            var tmp1 = $state_machine.thenTo($id2);
+            $state_machine.awaitResult($y ... ($args (,) ... , tmp1), tmp1);
             break;
             case $id2:
             step_state $task $state_machine $id2 { $rest ... }
@@ -743,7 +858,7 @@ macro step_state_line {
         return #{
             var tmp1 = $y ...;
             if (tmp1 && tmp1.take) {
-                tmp1.take($state_machine.thenTo($id2));
+                $state_machine.awaitOp(tmp1.take($state_machine.thenTo($id2)));
             } else {
                 throw new Error('Expected a channel in step ' + $id);
             }
@@ -777,7 +892,8 @@ macro step_state_line {
         var id = unwrapSyntax(#{$id});
         letstx $id2 = [makeValue(id + 1, #{$id})], $id3 = [makeValue(id + 2, #{$id})];
         return #{
-            $y ... ($state_machine.thenTo($id2));
+            var tmp1 = $state_machine.thenTo($id2);
+            $state_machine.awaitResult($y ... (tmp1), tmp1);
             break;
             case $id2:
             var i = 1;
@@ -791,7 +907,8 @@ macro step_state_line {
         var id = unwrapSyntax(#{$id});
         letstx $id2 = [makeValue(id + 1, #{$id})], $id3 = [makeValue(id + 2, #{$id})];
         return #{
-            $y ... ($state_machine.thenToWithErr($id2));
+            var tmp1 = $state_machine.thenToWithErr($id2);
+            $state_machine.awaitResult($y ... (tmp1), tmp1);
             break;
             case $id2:
             var i = 1;
@@ -806,7 +923,8 @@ macro step_state_line {
         var id = unwrapSyntax(#{$id});
         letstx $id2 = [makeValue(id + 1, #{$id})], $id3 = [makeValue(id + 2, #{$id})];
         return #{
-            $y ... ($args (,) ... , $state_machine.thenTo($id2));
+            var tmp1 = $state_machine.thenTo($id2);
+            $state_machine.awaitResult($y ... ($args (,) ... , tmp1), tmp1);
             break;
             case $id2:
             var i = 1;
@@ -820,7 +938,8 @@ macro step_state_line {
         var id = unwrapSyntax(#{$id});
         letstx $id2 = [makeValue(id + 1, #{$id})], $id3 = [makeValue(id + 2, #{$id})];
         return #{
-            $y ... ($args (,) ... , $state_machine.thenToWithErr($id2));
+            var tmp1 = $state_machine.thenToWithErr($id2);
+            $state_machine.awaitResult($y ... ($args (,) ... , tmp1), tmp1);
             break;
             case $id2:
             var i = 1;